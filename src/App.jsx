@@ -1,14 +1,28 @@
-import React, { useState, useCallback, useEffect } from 'react';
+import React, { useState, useCallback, useEffect, useMemo } from 'react';
 
 // 1D Imports
 import Automaton1DView from './components/Automaton1DView.jsx';
 import Controls1D from './components/Controls1D.jsx';
-import { calculateNextGeneration as calculateNextGeneration1D, decimalToBinaryArray } from './automataLogic.js'; // Assuming automataLogic.js for 1D
+import RuleGallery1D from './components/RuleGallery1D.jsx';
+import RuleTableEditor1D from './components/RuleTableEditor1D.jsx';
+import LineChart from './components/LineChart.jsx';
+import StatsPanel1D from './components/StatsPanel1D.jsx';
+import ParticlePanel1D from './components/ParticlePanel1D.jsx';
+import GraphLayout1D from './components/GraphLayout1D.jsx';
+import RuleSearch1D from './components/RuleSearch1D.jsx';
+import { calculateNextGeneration as calculateNextGeneration1D, calculateNextGenerationSecondOrder, calculateNextGenerationCML, createInitialGenerationCML, CML_MAPS_1D, createInitialGeneration as createInitial1DGeneration, getMaxRuleNumber, parseRuleNumber, perturbGeneration, MIN_CELL_COUNT_1D, MAX_CELL_COUNT_1D, getDamageSpread } from './automataLogic.js'; // Assuming automataLogic.js for 1D
+import { getStatsSeries, statsToCsv } from './automataStats1D.js';
+import { detectDomain, pickDomainAt, trackParticles, summarizeParticles } from './automataDomains1D.js';
+import { createTopology1D, parseAdjacencyList, countRewiredLinks } from './graphTopology1D.js';
+import { createSeededRandom, deriveSeed, generateSeed } from './seededRandom.js';
 
 // 2D Imports
 import Automaton2DView from './components/Automaton2DView.jsx';
 import Controls2D from './components/Controls2D.jsx';
-import { calculateNextGeneration2D } from './automataLogic2D.js';
+import { calculateNextGeneration2D, getRuleDefinition2D, getNeighborhoodOffsets2D, restrictRuleToNeighborhood2D, NEIGHBORHOOD_OFFSETS_2D, WIREWORLD_STATES } from './automataLogic2D.js';
+import { createWireWorldGrid2D } from './wireworldLibrary2D.js';
+import { createTurmiteAnts2D, stepTurmites2D, MAX_TURMITE_ANTS } from './turmites2D.js';
+import { calculateNextGenerationContinuous2D, createLeniaSpeciesGrid2D, createRandomContinuousGrid2D, CONTINUOUS_GRID_SIZES_2D, DEFAULT_CONTINUOUS_SETTINGS_2D, LENIA_SPECIES_2D } from './continuousAutomata2D.js';
 
 // 3D Imports
 import Automaton3DView from './components/Automaton3DView.jsx';
@@ -28,28 +42,42 @@ const DEFAULT_SIMULATION_SPEED_MS = 200;
 
 // --- 1D Constants ---
 const INITIAL_1D_CELL_COUNT = 51;
-const MAX_HISTORY_LENGTH_1D = 200; // Max generations for 1D history
+const DEFAULT_INITIAL_CONDITION_1D = { type: 'single', density: 0.5, pattern: '1', seed: 1 };
+const DEFAULT_UPDATE_SCHEME_1D = { mode: 'synchronous', probability: 0.9, seed: 1 };
+const DEFAULT_TOPOLOGY_SETTINGS_1D = { type: 'ring', probability: 0.1, seed: 1, adjacencyText: '' };
+const DEFAULT_CML_SETTINGS_1D = { map: 'logistic', parameter: CML_MAPS_1D.logistic.defaultParameter, coupling: 0.3, noise: 1, colormap: 'grayscale' };
+const GALLERY_CELL_COUNT_1D = 64; // Width of each rule-gallery thumbnail
+const MAX_HISTORY_LENGTH_1D = 20000; // Max generations for 1D history (rows are Uint8Arrays, drawn on a canvas)
+const DAMAGE_COLOR_1D = '#fd7e14'; // Cells where the perturbed copy differs from the run
+const STATS_WINDOW_1D = 500; // Generations shown in the live statistics charts (the CSV export has them all)
 
 // --- 2D Constants ---
 const GRID_ROWS_APP = 50;
 const GRID_COLS_APP = 50;
+const RANDOM_FILL_DENSITY_2D = 0.5;
+// mask/maskSize are the custom neighborhood's cells; they start as the Moore neighborhood on a 5x5 editor
+const DEFAULT_NEIGHBORHOOD_2D = { type: 'moore', maskSize: 5, mask: NEIGHBORHOOD_OFFSETS_2D.moore };
+// Automaton2DView palette for the rule families that don't use live and decay states
+const PALETTES_2D = { wireworld: 'wireworld', turmite: 'turmite', cyclic: 'colorWheel' };
+const DEFAULT_CONTINUOUS_GRID_SIZE_2D = 128; // Lenia and SmoothLife kernels span tens of cells
 
 // --- 3D Constants ---
 const DEFAULT_GRID_SIZE_3D = 20; // Default grid size for 3D (larger default for GPU acceleration)
 
-// Helper to create initial 1D generation
-const createInitial1DGeneration = (cellCount = INITIAL_1D_CELL_COUNT) => {
-  const initial = Array(cellCount).fill(0);
-  if (cellCount > 0) {
-    initial[Math.floor(cellCount / 2)] = 1; // Middle cell active
-  }
-  return initial;
-};
+const createEmpty2DGrid = (size) => Array.from({ length: size }, () => Array(size).fill(0));
+
+// Start of a continuous grid: the Lenia species the parameters came from, or a SmoothLife soup (seed 1, so Reset
+// gives the same one again)
+const createInitialContinuousGrid2D = (size, settings) => (
+  settings.model === 'lenia'
+    ? createLeniaSpeciesGrid2D(settings.species, size)
+    : createRandomContinuousGrid2D(size, settings, 1)
+);
 
 // Helper to create initial 2D grid (e.g., with a glider)
-const createInitial2DGrid = () => {
-  const grid = Array(GRID_ROWS_APP).fill(null).map(() => Array(GRID_COLS_APP).fill(0));
-  if (GRID_ROWS_APP > 5 && GRID_COLS_APP > 5) { // Ensure grid is large enough for a glider
+const createInitial2DGrid = (numRows = GRID_ROWS_APP, numCols = GRID_COLS_APP) => {
+  const grid = Array(numRows).fill(null).map(() => Array(numCols).fill(0));
+  if (numRows > 5 && numCols > 5) { // Ensure grid is large enough for a glider
     grid[1][2] = 1;
     grid[2][3] = 1;
     grid[3][1] = 1;
@@ -59,22 +87,85 @@ const createInitial2DGrid = () => {
   return grid;
 };
 
+// Append `count` generations to a list of 1D rows, dropping the oldest beyond MAX_HISTORY_LENGTH_1D.
+// `previous` is the row before the latest one, which is generation `latestGeneration`;
+// step(previous, current, generation) returns the row after `current`. Returns the new rows and the new
+// row before the latest.
+const advanceRows1D = (rows, previous, latestGeneration, count, step) => {
+  const newRows = [...rows];
+  let newPrevious = previous;
+  for (let i = 0; i < count; i++) {
+    const current = newRows[newRows.length - 1];
+    newRows.push(step(newPrevious, current, latestGeneration + i));
+    newPrevious = current;
+  }
+  return {
+    rows: newRows.length > MAX_HISTORY_LENGTH_1D ? newRows.slice(newRows.length - MAX_HISTORY_LENGTH_1D) : newRows,
+    previous: newPrevious
+  };
+};
+
+// Undo the latest generation of a second-order run: its previous row becomes the latest again, and the
+// row before that is recovered by running the rule backwards (stepping (latest, previous) forwards)
+const retreatRows1D = (rows, previous, latestGeneration, step) => ({
+  rows: [...rows.slice(0, -2), previous],
+  previous: step(rows[rows.length - 1], previous, latestGeneration - 1)
+});
+
+// Start a damage-spreading copy of the run at `generation`, from `row` with `cells` perturbed.
+// `previous` is the run's row before it, which second-order rules need to continue.
+const createDamageRun1D = (row, generation, cells, states, previous) => ({
+  startGeneration: generation,
+  rows: [perturbGeneration(row, cells, states)],
+  previous
+});
+
 function App() {
   // View Management
   const [activeView, setActiveView] = useState('1d'); // '1d', '2d', or '3d'
 
   // --- 1D State ---
-  const [rule1D, setRule1D] = useState(30);
-  const [generationsHistory, setGenerationsHistory] = useState([createInitial1DGeneration()]);
+  const [rule1D, setRule1D] = useState(30n); // BigInt so k-state and totalistic codes aren't limited to 2^53
+  const [states1D, setStates1D] = useState(2); // Number of cell states (k)
+  const [ruleType1D, setRuleType1D] = useState('elementary'); // 'elementary', 'totalistic' or 'outerTotalistic'
+  const [radius1D, setRadius1D] = useState(1); // Neighborhood radius (1 = left/center/right)
+  const [cellCount1D, setCellCount1D] = useState(INITIAL_1D_CELL_COUNT); // Lattice width
+  const [initialCondition1D, setInitialCondition1D] = useState(DEFAULT_INITIAL_CONDITION_1D); // { type, density, pattern, seed }
+  const [latticeType1D, setLatticeType1D] = useState('discrete'); // 'discrete' (cellular automaton) or 'cml' (coupled map lattice)
+  const [topologySettings1D, setTopologySettings1D] = useState(DEFAULT_TOPOLOGY_SETTINGS_1D); // { type, probability, seed, adjacencyText }, see graphTopology1D.js
+  const [adjacencyError1D, setAdjacencyError1D] = useState(''); // Why the last adjacency list was refused
+  const [cmlSettings1D, setCmlSettings1D] = useState(DEFAULT_CML_SETTINGS_1D); // { map, parameter, coupling, noise, colormap }
+  const [generationsHistory, setGenerationsHistory] = useState(() => [createInitial1DGeneration(INITIAL_1D_CELL_COUNT, DEFAULT_INITIAL_CONDITION_1D)]);
+  const [previousGeneration1D, setPreviousGeneration1D] = useState(() => new Uint8Array(INITIAL_1D_CELL_COUNT)); // Row before the latest one (second-order rules use both)
+  const [secondOrder1D, setSecondOrder1D] = useState(false); // Fredkin second-order (reversible) version of the rule
+  const [updateScheme1D, setUpdateScheme1D] = useState(DEFAULT_UPDATE_SCHEME_1D); // { mode, probability, seed }
+  const [showStats1D, setShowStats1D] = useState(true); // Live density / entropy / activity charts
+  const [domainWords1D, setDomainWords1D] = useState(null); // Background words for the domain filter, e.g. ['0001', '0111']
+  const [showParticles1D, setShowParticles1D] = useState(false); // Filter the domain out and track the particles left
+  const [isPickingDomain1D, setIsPickingDomain1D] = useState(false); // Next diagram click picks the domain
+  const [domainMessage1D, setDomainMessage1D] = useState('');
   const [isRunning1D, setIsRunning1D] = useState(false);
   const [generationCount1D, setGenerationCount1D] = useState(0);
   const [simulationSpeed1D, setSimulationSpeed1D] = useState(DEFAULT_SIMULATION_SPEED_MS);
+  const [generationsPerTick1D, setGenerationsPerTick1D] = useState(1); // Generations computed per timer tick
+  const [view1DMode, setView1DMode] = useState('spacetime'); // 'spacetime', 'gallery' or 'search'
+  const [branchGhost1D, setBranchGhost1D] = useState(null); // { startGeneration, rows }: the run's continuation before the last branch edit
+  const [damageMode1D, setDamageMode1D] = useState(false); // Run a perturbed copy alongside and show where the two differ
+  const [damageCells1D, setDamageCells1D] = useState([]); // Cells perturbed in the copy's first row
+  const [damageRun1D, setDamageRun1D] = useState(null); // { startGeneration, rows, previous }: the perturbed copy
 
   // --- 2D State ---
+  const [gridSize2D, setGridSize2D] = useState(GRID_ROWS_APP); // Square grid, gridSize2D x gridSize2D cells
   const [grid2D, setGrid2D] = useState(createInitial2DGrid());
   const [isRunning2D, setIsRunning2D] = useState(false);
   const [generationCount2D, setGenerationCount2D] = useState(0);
   const [rule2D, setRule2D] = useState('conway'); // Default to Conway's Game of Life
+  const [neighborhood2D, setNeighborhood2D] = useState(DEFAULT_NEIGHBORHOOD_2D); // Cells B/S counts refer to
+  const [paintState2D, setPaintState2D] = useState(WIREWORLD_STATES.CONDUCTOR); // State WireWorld clicks paint
+  const [ants2D, setAnts2D] = useState(() => createTurmiteAnts2D(1, GRID_ROWS_APP, GRID_COLS_APP)); // Turmite ants
+  const [turmiteStepsPerTick2D, setTurmiteStepsPerTick2D] = useState(100);
+  const [cellType2D, setCellType2D] = useState('discrete'); // 'discrete' (rule2D) or 'continuous' (Lenia, SmoothLife)
+  const [continuousSettings2D, setContinuousSettings2D] = useState(DEFAULT_CONTINUOUS_SETTINGS_2D); // { model, species, lenia, smoothLife, colormap }
   const [simulationSpeed2D, setSimulationSpeed2D] = useState(DEFAULT_SIMULATION_SPEED_MS);
   
   // --- 3D State ---
@@ -116,46 +207,473 @@ function App() {
   // --- 1D Handlers ---
   const handleStart1D = useCallback(() => { setIsRunning1D(true); }, []);
   const handlePause1D = useCallback(() => { setIsRunning1D(false); }, []);
-  const handleReset1D = useCallback(() => {
+  // Restart from a freshly generated first row; settings being changed in the same event are passed in
+  // explicitly because state updates from that event aren't visible here yet
+  const resetSimulation1D = useCallback((settings = {}) => {
+    const {
+      cellCount = cellCount1D,
+      initialCondition = initialCondition1D,
+      states = states1D,
+      latticeType = latticeType1D,
+      cmlSettings = cmlSettings1D,
+      damageMode = damageMode1D
+    } = settings;
+    const initialGeneration = latticeType === 'cml'
+      ? createInitialGenerationCML(cellCount, { noise: cmlSettings.noise, seed: initialCondition.seed })
+      : createInitial1DGeneration(cellCount, { ...initialCondition, states });
+    // Second-order rules start from an empty row before the first one
+    const initialPrevious = new Uint8Array(cellCount);
     setIsRunning1D(false);
-    setGenerationsHistory([createInitial1DGeneration()]);
+    setGenerationsHistory([initialGeneration]);
+    setPreviousGeneration1D(initialPrevious);
     setGenerationCount1D(0);
-  }, []);
+    setBranchGhost1D(null);
+    // The perturbed copy restarts alongside, with the same cells flipped where they still fit the row
+    setDamageRun1D(damageMode ? createDamageRun1D(initialGeneration, 0, damageCells1D, states, initialPrevious) : null);
+  }, [cellCount1D, initialCondition1D, states1D, latticeType1D, cmlSettings1D, damageMode1D, damageCells1D]);
+  const handleReset1D = useCallback(() => { resetSimulation1D(); }, [resetSimulation1D]);
   const handleRuleChange1D = useCallback((newRule) => {
-    const ruleValue = (newRule === '' || isNaN(parseInt(newRule,10))) ? 0 : parseInt(newRule, 10);
-    setRule1D(Math.max(0, Math.min(255, ruleValue)));
+    const ruleValue = parseRuleNumber(newRule) ?? 0n;
+    const maxRule = getMaxRuleNumber(states1D, ruleType1D, radius1D);
+    setRule1D(ruleValue > maxRule ? maxRule : ruleValue);
     handleReset1D(); // Reset simulation when rule changes for 1D
-  }, [handleReset1D]);
+  }, [handleReset1D, states1D, ruleType1D, radius1D]);
+  const handleStatesChange1D = useCallback((newStates) => {
+    setStates1D(newStates);
+    // Keep the current rule if it is still valid for the new state count
+    setRule1D((prevRule) => (prevRule > getMaxRuleNumber(newStates, ruleType1D, radius1D) ? 0n : prevRule));
+    resetSimulation1D({ states: newStates });
+  }, [resetSimulation1D, ruleType1D, radius1D]);
+  const handleRuleTypeChange1D = useCallback((newRuleType) => {
+    setRuleType1D(newRuleType);
+    setRule1D((prevRule) => (prevRule > getMaxRuleNumber(states1D, newRuleType, radius1D) ? 0n : prevRule));
+    handleReset1D();
+  }, [handleReset1D, states1D, radius1D]);
+  const handleRadiusChange1D = useCallback((newRadius) => {
+    setRadius1D(newRadius);
+    setRule1D((prevRule) => (prevRule > getMaxRuleNumber(states1D, ruleType1D, newRadius) ? 0n : prevRule));
+    handleReset1D();
+  }, [handleReset1D, states1D, ruleType1D]);
   
   const handleSpeedChange1D = useCallback((newSpeed) => {
     setSimulationSpeed1D(newSpeed);
   }, []);
+  const handleGenerationsPerTickChange1D = useCallback((newValue) => {
+    setGenerationsPerTick1D(newValue);
+  }, []);
+  const handleCellCountChange1D = useCallback((newCellCount) => {
+    setCellCount1D(newCellCount);
+    resetSimulation1D({ cellCount: newCellCount });
+  }, [resetSimulation1D]);
+  const handleInitialConditionChange1D = useCallback((changes) => {
+    const newInitialCondition = { ...initialCondition1D, ...changes };
+    setInitialCondition1D(newInitialCondition);
+    resetSimulation1D({ initialCondition: newInitialCondition });
+  }, [initialCondition1D, resetSimulation1D]);
+  const handleNewSeed1D = useCallback(() => {
+    handleInitialConditionChange1D({ seed: generateSeed() });
+  }, [handleInitialConditionChange1D]);
+  // Changing how cells update restarts the run, so a seeded stochastic run can always be replayed from the start
+  const handleUpdateSchemeChange1D = useCallback((changes) => {
+    setUpdateScheme1D((prevScheme) => ({ ...prevScheme, ...changes }));
+    handleReset1D();
+  }, [handleReset1D]);
+  const handleNewUpdateSeed1D = useCallback(() => {
+    handleUpdateSchemeChange1D({ seed: generateSeed() });
+  }, [handleUpdateSchemeChange1D]);
+  // Any change of graph restarts the run. An imported adjacency list fixes the width to its node count.
+  const handleTopologySettingsChange1D = useCallback((changes) => {
+    const newSettings = { ...topologySettings1D, ...changes };
+    const adjacency = newSettings.type === 'adjacency' ? parseAdjacencyList(newSettings.adjacencyText) : null;
+    if (adjacency && (adjacency.left.length < MIN_CELL_COUNT_1D || adjacency.left.length > MAX_CELL_COUNT_1D)) {
+      setAdjacencyError1D(`Adjacency list must have ${MIN_CELL_COUNT_1D} to ${MAX_CELL_COUNT_1D} nodes, not ${adjacency.left.length}`);
+      return;
+    }
+    setAdjacencyError1D('');
+    setTopologySettings1D(newSettings);
+    if (adjacency) {
+      setCellCount1D(adjacency.left.length);
+      resetSimulation1D({ cellCount: adjacency.left.length });
+    } else {
+      resetSimulation1D();
+    }
+  }, [topologySettings1D, resetSimulation1D]);
+  const handleNewTopologySeed1D = useCallback(() => {
+    handleTopologySettingsChange1D({ seed: generateSeed() });
+  }, [handleTopologySettingsChange1D]);
+  const handleView1DModeChange = useCallback((mode) => {
+    setIsRunning1D(false);
+    setView1DMode(mode);
+  }, []);
+  // Switching between a cellular automaton and a coupled map lattice; the damage, particle and
+  // second-order tools only make sense for discrete states, so they are switched off
+  const handleLatticeTypeChange1D = useCallback((newLatticeType) => {
+    setLatticeType1D(newLatticeType);
+    setSecondOrder1D(false);
+    setDamageMode1D(false);
+    setShowParticles1D(false);
+    setIsPickingDomain1D(false);
+    resetSimulation1D({ latticeType: newLatticeType, damageMode: false });
+  }, [resetSimulation1D]);
+  // A new map or initial noise restarts the lattice; the map parameter, coupling and colormap apply from
+  // the next generation on, so they can be swept while it runs
+  const handleCmlSettingsChange1D = useCallback((changes) => {
+    const newSettings = { ...cmlSettings1D, ...changes };
+    setCmlSettings1D(newSettings);
+    if ('map' in changes || 'noise' in changes) {
+      resetSimulation1D({ cmlSettings: newSettings });
+    }
+  }, [cmlSettings1D, resetSimulation1D]);
+  // Load an elementary rule picked in the gallery and go back to its spacetime diagram, under the conditions
+  // its thumbnail was drawn in (ring, synchronous first-order updates)
+  const handleGallerySelect1D = useCallback((rule) => {
+    setLatticeType1D('discrete');
+    setStates1D(2);
+    setRuleType1D('elementary');
+    setRadius1D(1);
+    setRule1D(BigInt(rule));
+    setSecondOrder1D(false);
+    setUpdateScheme1D((prevScheme) => ({ ...prevScheme, mode: 'synchronous' }));
+    setTopologySettings1D((prevSettings) => ({ ...prevSettings, type: 'ring' }));
+    resetSimulation1D({ states: 2, latticeType: 'discrete' });
+    setView1DMode('spacetime');
+  }, [resetSimulation1D]);
+  // Open a rule found by the density-classification search on the row it was shown with, under the same
+  // conditions it was scored in (two states, ring, synchronous first-order updates)
+  const handleLoadSearchChampion1D = useCallback(({ rule, cellCount, initialCondition }) => {
+    const newInitialCondition = { ...initialCondition1D, ...initialCondition };
+    setLatticeType1D('discrete');
+    setStates1D(2);
+    setRuleType1D('elementary');
+    setRadius1D(3);
+    setRule1D(rule);
+    setSecondOrder1D(false);
+    setUpdateScheme1D((prevScheme) => ({ ...prevScheme, mode: 'synchronous' }));
+    setTopologySettings1D((prevSettings) => ({ ...prevSettings, type: 'ring' }));
+    setCellCount1D(cellCount);
+    setInitialCondition1D(newInitialCondition);
+    resetSimulation1D({ cellCount, initialCondition: newInitialCondition, states: 2, latticeType: 'discrete' });
+    setView1DMode('spacetime');
+  }, [initialCondition1D, resetSimulation1D]);
+  const galleryInitialGeneration1D = useMemo(
+    () => createInitial1DGeneration(GALLERY_CELL_COUNT_1D, { ...initialCondition1D, states: 2 }),
+    [initialCondition1D]
+  );
+  const isCML1D = latticeType1D === 'cml';
+  // Only first-order: a second-order rule 30 is not the rule 30 of the table editor and gallery
+  const isElementaryRule1D = !isCML1D && !secondOrder1D && states1D === 2 && ruleType1D === 'elementary' && radius1D === 1;
+  // Graph the 1D rule runs on; null for the plain ring
+  const { topology: topology1D, error: topologyError1D } = useMemo(() => (
+    createTopology1D(topologySettings1D, cellCount1D)
+  ), [topologySettings1D, cellCount1D]);
+  // One generation of the current rule: step(previous, current, generation of current) -> next.
+  // First-order rules ignore previous. Stochastic update modes draw from a generator seeded by the update
+  // seed and the generation, so a step always comes out the same however often it is recomputed (which
+  // also keeps noisy second-order runs exactly reversible, and gives a damaged copy the same noise).
+  const step1D = useCallback((previous, current, generation) => {
+    if (latticeType1D === 'cml') return calculateNextGenerationCML(current, cmlSettings1D);
+    const ruleOptions = {
+      states: states1D,
+      ruleType: ruleType1D,
+      radius: radius1D,
+      updateMode: updateScheme1D.mode,
+      probability: updateScheme1D.probability,
+      random: createSeededRandom(deriveSeed(updateScheme1D.seed, generation)),
+      topology: topology1D
+    };
+    return secondOrder1D
+      ? calculateNextGenerationSecondOrder(previous, current, rule1D, ruleOptions)
+      : calculateNextGeneration1D(current, rule1D, ruleOptions);
+  }, [rule1D, states1D, ruleType1D, radius1D, secondOrder1D, updateScheme1D, topology1D, latticeType1D, cmlSettings1D]);
+  // The row before history row `rowIndex`. Before the first kept row it is the tracked previous row while
+  // that row is the latest, and otherwise (second-order only) recovered by running the rule backwards.
+  const getPreviousRow1D = useCallback((rowIndex) => {
+    if (rowIndex > 0) return generationsHistory[rowIndex - 1];
+    if (generationsHistory.length === 1 || !secondOrder1D) return previousGeneration1D;
+    const firstGeneration = generationCount1D - generationsHistory.length + 1;
+    return step1D(generationsHistory[1], generationsHistory[0], firstGeneration);
+  }, [generationsHistory, previousGeneration1D, generationCount1D, secondOrder1D, step1D]);
+  // Editing any row branches the run there: later rows are dropped (and kept as a ghosted comparison)
+  // and the simulation continues from the edited row.
+  // In damage mode clicks don't edit the run; they pick the cells perturbed in the copy instead. Clicking
+  // the copy's first row toggles a cell, clicking any other row restarts the copy there from that one cell.
   const handleCellClick1D = useCallback((rowIndex, cellIndex) => {
-    if (!isRunning1D && rowIndex === 0 && generationsHistory.length > 0) {
-      setGenerationsHistory((prevHistory) => {
-        const newInitialGeneration = [...prevHistory[0]];
-        newInitialGeneration[cellIndex] = newInitialGeneration[cellIndex] === 0 ? 1 : 0;
-        const newHistory = [...prevHistory];
-        newHistory[0] = newInitialGeneration;
-        return newHistory;
+    if (rowIndex >= generationsHistory.length) return;
+    if (isPickingDomain1D) {
+      // Picking a domain only reads the diagram, so it works while running too
+      const words = pickDomainAt(generationsHistory, rowIndex, cellIndex);
+      setIsPickingDomain1D(false);
+      if (words) {
+        setDomainWords1D(words);
+        setShowParticles1D(true);
+        setDomainMessage1D(`Picked domain: ${words.join(', ')}`);
+      } else {
+        setDomainMessage1D('No periodic background around that cell; pick a cell inside the regular pattern.');
+      }
+      return;
+    }
+    if (isRunning1D) return;
+    const firstGeneration = generationCount1D - generationsHistory.length + 1;
+    const branchGeneration = firstGeneration + rowIndex;
+    const branchPrevious = getPreviousRow1D(rowIndex);
+    setPreviousGeneration1D(branchPrevious);
+    if (damageMode1D) {
+      const isDamageStart = damageRun1D && damageRun1D.startGeneration === branchGeneration;
+      let newDamageCells = [cellIndex];
+      if (isDamageStart) {
+        newDamageCells = damageCells1D.includes(cellIndex)
+          ? damageCells1D.filter((cell) => cell !== cellIndex)
+          : [...damageCells1D, cellIndex];
+      }
+      setDamageCells1D(newDamageCells);
+      setDamageRun1D(createDamageRun1D(generationsHistory[rowIndex], branchGeneration, newDamageCells, states1D, branchPrevious));
+      setGenerationsHistory(generationsHistory.slice(0, rowIndex + 1));
+    } else {
+      // Only an edit branches the run, so only then is the replaced continuation kept as a ghost
+      if (rowIndex < generationsHistory.length - 1) {
+        setBranchGhost1D({ startGeneration: branchGeneration + 1, rows: generationsHistory.slice(rowIndex + 1) });
+      }
+      const editedGeneration = generationsHistory[rowIndex].slice();
+      // Cycle through the available states (0 -> 1 -> ... -> k-1 -> 0); a lattice value is shifted by half
+      editedGeneration[cellIndex] = isCML1D
+        ? (editedGeneration[cellIndex] + 0.5) % 1
+        : (editedGeneration[cellIndex] + 1) % states1D;
+      setGenerationsHistory([...generationsHistory.slice(0, rowIndex), editedGeneration]);
+    }
+    setGenerationCount1D(branchGeneration);
+  }, [isRunning1D, generationsHistory, generationCount1D, states1D, damageMode1D, damageRun1D, damageCells1D, getPreviousRow1D, isPickingDomain1D, isCML1D]);
+  const handleClearBranchGhost1D = useCallback(() => { setBranchGhost1D(null); }, []);
+  // Damage mode starts the perturbed copy from the latest row, by default with its middle cell flipped
+  const handleDamageModeChange1D = useCallback((enabled) => {
+    setDamageMode1D(enabled);
+    if (!enabled) {
+      setDamageRun1D(null);
+      return;
+    }
+    const latestGeneration = generationsHistory[generationsHistory.length - 1];
+    const cells = damageCells1D.length > 0 ? damageCells1D : [Math.floor(latestGeneration.length / 2)];
+    setDamageCells1D(cells);
+    setDamageRun1D(createDamageRun1D(latestGeneration, generationCount1D, cells, states1D, previousGeneration1D));
+  }, [generationsHistory, previousGeneration1D, generationCount1D, damageCells1D, states1D]);
+  const handleSecondOrderChange1D = useCallback((enabled) => {
+    setSecondOrder1D(enabled);
+    handleReset1D();
+  }, [handleReset1D]);
+  // Advance the run (and its perturbed copy, in lockstep) by `count` generations from the tracked
+  // (previous, latest) pair of rows
+  const advance1D = useCallback((count) => {
+    const advanced = advanceRows1D(generationsHistory, previousGeneration1D, generationCount1D, count, step1D);
+    setGenerationsHistory(advanced.rows);
+    setPreviousGeneration1D(advanced.previous);
+    setGenerationCount1D(generationCount1D + count);
+    if (damageRun1D) {
+      const advancedDamage = advanceRows1D(damageRun1D.rows, damageRun1D.previous, generationCount1D, count, step1D);
+      setDamageRun1D({
+        // Trimming old rows moves the copy's start the same way as the run's
+        startGeneration: damageRun1D.startGeneration + damageRun1D.rows.length + count - advancedDamage.rows.length,
+        ...advancedDamage
+      });
+    }
+  }, [generationsHistory, previousGeneration1D, generationCount1D, damageRun1D, step1D]);
+  // Statistics are cached per row, so each tick only measures the rows it added
+  const stats1D = useMemo(() => {
+    if (!showStats1D || isCML1D) return [];
+    const firstGeneration = generationCount1D - generationsHistory.length + 1;
+    return getStatsSeries(generationsHistory, firstGeneration, states1D, generationsHistory.length - STATS_WINDOW_1D);
+  }, [showStats1D, isCML1D, generationsHistory, generationCount1D, states1D]);
+  const handleExportStats1D = useCallback(() => {
+    const firstGeneration = generationCount1D - generationsHistory.length + 1;
+    const csv = statsToCsv(getStatsSeries(generationsHistory, firstGeneration, states1D));
+    const url = URL.createObjectURL(new Blob([csv], { type: 'text/csv' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `rule-${rule1D}${secondOrder1D ? 'R' : ''}-stats.csv`;
+    link.click();
+    URL.revokeObjectURL(url);
+  }, [generationsHistory, generationCount1D, states1D, rule1D, secondOrder1D]);
+  const handleDomainWordsChange1D = useCallback((words) => {
+    setDomainWords1D(words);
+    setDomainMessage1D('');
+  }, []);
+  const handleDetectDomain1D = useCallback(() => {
+    const words = detectDomain(generationsHistory);
+    if (words) {
+      setDomainWords1D(words);
+      setShowParticles1D(true);
+      setDomainMessage1D(`Detected domain: ${words.join(', ')}`);
+    } else {
+      setDomainMessage1D('No dominant periodic background in the latest generations; run longer or pick the domain by hand.');
+    }
+  }, [generationsHistory]);
+  const handlePickDomainToggle1D = useCallback(() => { setIsPickingDomain1D((prevPicking) => !prevPicking); }, []);
+  // Particle tracking and its summary are cached per row too; each tick only walks the new generations
+  const particleStates1D = useMemo(() => (
+    showParticles1D && domainWords1D ? trackParticles(generationsHistory, domainWords1D, radius1D) : null
+  ), [showParticles1D, domainWords1D, generationsHistory, radius1D]);
+  const particleSummary1D = useMemo(() => (
+    particleStates1D ? summarizeParticles(particleStates1D, generationCount1D - generationsHistory.length + 1) : null
+  ), [particleStates1D, generationCount1D, generationsHistory]);
+  const particleOverlay1D = useMemo(() => {
+    if (!particleStates1D) return null;
+    return {
+      startGeneration: generationCount1D - generationsHistory.length + 1,
+      ids: particleStates1D.map(({ ids }) => ids),
+      labels: particleSummary1D.tracks.map(({ id, birth, birthCell }) => ({ generation: birth, cell: birthCell, text: `#${id}` })),
+      collisions: particleSummary1D.collisions
+    };
+  }, [particleStates1D, particleSummary1D, generationCount1D, generationsHistory]);
+  const handleStepForward1D = useCallback(() => { advance1D(1); }, [advance1D]);
+  // Truly reverse a second-order run by one generation, rather than just dropping the newest row
+  const handleStepBackward1D = useCallback(() => {
+    if (!secondOrder1D || isRunning1D) return;
+    const retreated = retreatRows1D(generationsHistory, previousGeneration1D, generationCount1D, step1D);
+    setGenerationsHistory(retreated.rows);
+    setPreviousGeneration1D(retreated.previous);
+    setGenerationCount1D(generationCount1D - 1);
+    if (damageRun1D) {
+      const retreatedDamage = retreatRows1D(damageRun1D.rows, damageRun1D.previous, generationCount1D, step1D);
+      setDamageRun1D({
+        // Stepping back past the perturbation keeps reversing the copy, which then starts a generation earlier
+        startGeneration: damageRun1D.rows.length === 1 ? damageRun1D.startGeneration - 1 : damageRun1D.startGeneration,
+        ...retreatedDamage
       });
     }
-  }, [isRunning1D, generationsHistory]);
+  }, [secondOrder1D, isRunning1D, generationsHistory, previousGeneration1D, generationCount1D, damageRun1D, step1D]);
+  const damageSpread1D = useMemo(() => {
+    if (!damageRun1D) return [];
+    return getDamageSpread(generationsHistory, generationCount1D - generationsHistory.length + 1, damageRun1D);
+  }, [damageRun1D, generationsHistory, generationCount1D]);
+  const damageChartSeries1D = useMemo(() => [{
+    label: 'Difference width',
+    color: DAMAGE_COLOR_1D,
+    points: damageSpread1D.map(({ generation, width }) => ({ x: generation, y: width }))
+  }], [damageSpread1D]);
+  // Average growth of the difference region since the perturbation, in cells per generation
+  // (the sum of the left and right light-cone speeds while the damage keeps spreading)
+  const damageGrowthRate1D = damageSpread1D.length > 1
+    ? damageSpread1D[damageSpread1D.length - 1].width / (damageSpread1D.length - 1)
+    : null;
 
   // --- 2D Handlers ---
   const handleStart2D = useCallback(() => { setIsRunning2D(true); }, []);
   const handlePause2D = useCallback(() => { setIsRunning2D(false); }, []);
+  // Turmites start from an empty grid, with their ants back at the start
   const handleReset2D = useCallback(() => {
     setIsRunning2D(false);
-    setGrid2D(createInitial2DGrid());
+    if (cellType2D === 'continuous') {
+      setGrid2D(createInitialContinuousGrid2D(gridSize2D, continuousSettings2D));
+    } else if (getRuleDefinition2D(rule2D)?.family === 'turmite') {
+      setGrid2D(createEmpty2DGrid(gridSize2D));
+      setAnts2D((prevAnts) => createTurmiteAnts2D(Math.max(1, prevAnts.length), gridSize2D, gridSize2D));
+    } else {
+      setGrid2D(createInitial2DGrid(gridSize2D, gridSize2D));
+    }
     setGenerationCount2D(0);
-  }, []);
+  }, [gridSize2D, rule2D, cellType2D, continuousSettings2D]);
+  const handleGridSizeChange2D = useCallback((newSize) => {
+    setGridSize2D(newSize);
+    setIsRunning2D(false);
+    setGrid2D(cellType2D === 'continuous' ? createInitialContinuousGrid2D(newSize, continuousSettings2D) : createInitial2DGrid(newSize, newSize));
+    setAnts2D((prevAnts) => createTurmiteAnts2D(Math.max(1, prevAnts.length), newSize, newSize));
+    setGenerationCount2D(0);
+  }, [cellType2D, continuousSettings2D]);
+  // Random soup, the usual start for Larger than Life and other rules without a known seed pattern; cyclic rules
+  // get all their states in equal shares
+  const handleRandomFill2D = useCallback(() => {
+    setIsRunning2D(false);
+    if (cellType2D === 'continuous') {
+      setGrid2D(createRandomContinuousGrid2D(gridSize2D, continuousSettings2D, Math.floor(Math.random() * 2 ** 32)));
+      setGenerationCount2D(0);
+      return;
+    }
+    const rule = getRuleDefinition2D(rule2D);
+    const randomCell = rule?.family === 'cyclic'
+      ? () => Math.floor(Math.random() * rule.states)
+      : () => (Math.random() < RANDOM_FILL_DENSITY_2D ? 1 : 0);
+    setGrid2D(Array(gridSize2D).fill(null).map(() => Array.from({ length: gridSize2D }, randomCell)));
+    setGenerationCount2D(0);
+  }, [gridSize2D, rule2D, cellType2D, continuousSettings2D]);
   const handleRuleChange2D = useCallback((newRule) => {
     console.log(`[App] Changing 2D rule to ${newRule}`);
-    setRule2D(newRule);
+    setRule2D(restrictRuleToNeighborhood2D(newRule, getNeighborhoodOffsets2D(neighborhood2D).length));
     setIsRunning2D(false); // Pause simulation when rule changes
+  }, [neighborhood2D]);
+  // Counts the new neighborhood can't reach are dropped from the rule
+  const handleNeighborhoodChange2D = useCallback((newNeighborhood) => {
+    setNeighborhood2D(newNeighborhood);
+    setRule2D((prevRule) => restrictRuleToNeighborhood2D(prevRule, getNeighborhoodOffsets2D(newNeighborhood).length));
+    setIsRunning2D(false);
   }, []);
   
+  const handleLoadWireWorldPattern2D = useCallback((pattern) => {
+    const newGrid = createWireWorldGrid2D(pattern, gridSize2D, gridSize2D);
+    if (!newGrid) return;
+    setIsRunning2D(false);
+    setGrid2D(newGrid);
+    setGenerationCount2D(0);
+  }, [gridSize2D]);
+
+  const handleAntCountChange2D = useCallback((count) => {
+    setIsRunning2D(false);
+    setGrid2D(createEmpty2DGrid(gridSize2D));
+    setAnts2D(createTurmiteAnts2D(count, gridSize2D, gridSize2D));
+    setGenerationCount2D(0);
+  }, [gridSize2D]);
+
+  // Clicks on a turmite grid add an ant heading north, or remove the ants already on the cell
+  const handleAntToggle2D = useCallback((rowIndex, colIndex) => {
+    if (isRunning2D) return;
+    setAnts2D((prevAnts) => {
+      const others = prevAnts.filter(({ r, c }) => r !== rowIndex || c !== colIndex);
+      if (others.length < prevAnts.length) return others;
+      return prevAnts.length < MAX_TURMITE_ANTS ? [...prevAnts, { r: rowIndex, c: colIndex, heading: 0, state: 0 }] : prevAnts;
+    });
+  }, [isRunning2D]);
+
+  // Runs the turmite `steps` steps at once, paused
+  const handleTurmiteJump2D = useCallback((steps) => {
+    const rule = getRuleDefinition2D(rule2D);
+    if (rule?.family !== 'turmite') return;
+    const next = stepTurmites2D(grid2D, ants2D, rule, steps);
+    setGrid2D(next.grid);
+    setAnts2D(next.ants);
+    setGenerationCount2D((prevCount) => prevCount + steps);
+  }, [rule2D, grid2D, ants2D]);
+
+  // Continuous grids need a power-of-two size for the FFTs, so switching keeps the size only if it is one of those
+  const handleCellTypeChange2D = useCallback((newCellType) => {
+    setCellType2D(newCellType);
+    setIsRunning2D(false);
+    if (newCellType === 'continuous') {
+      const size = CONTINUOUS_GRID_SIZES_2D.includes(gridSize2D) ? gridSize2D : DEFAULT_CONTINUOUS_GRID_SIZE_2D;
+      setGridSize2D(size);
+      setGrid2D(createInitialContinuousGrid2D(size, continuousSettings2D));
+    } else {
+      setGridSize2D(GRID_ROWS_APP);
+      setGrid2D(createInitial2DGrid(GRID_ROWS_APP, GRID_COLS_APP));
+      setAnts2D((prevAnts) => createTurmiteAnts2D(Math.max(1, prevAnts.length), GRID_ROWS_APP, GRID_COLS_APP));
+    }
+    setGenerationCount2D(0);
+  }, [gridSize2D, continuousSettings2D]);
+  // A new model restarts the grid; parameters and the colormap apply from the next step on, so they can be
+  // tuned while it runs
+  const handleContinuousSettingsChange2D = useCallback((changes) => {
+    const newSettings = { ...continuousSettings2D, ...changes };
+    setContinuousSettings2D(newSettings);
+    if ('model' in changes) {
+      setIsRunning2D(false);
+      setGrid2D(createInitialContinuousGrid2D(gridSize2D, newSettings));
+      setGenerationCount2D(0);
+    }
+  }, [continuousSettings2D, gridSize2D]);
+  // Loads a Lenia species with its parameters
+  const handleLoadLeniaSpecies2D = useCallback((speciesKey) => {
+    const newSettings = { ...continuousSettings2D, model: 'lenia', species: speciesKey, lenia: LENIA_SPECIES_2D[speciesKey].parameters };
+    setContinuousSettings2D(newSettings);
+    setIsRunning2D(false);
+    setGrid2D(createInitialContinuousGrid2D(gridSize2D, newSettings));
+    setGenerationCount2D(0);
+  }, [continuousSettings2D, gridSize2D]);
   const handleSpeedChange2D = useCallback((newSpeed) => {
     setSimulationSpeed2D(newSpeed);
   }, []);
@@ -237,14 +755,15 @@ function App() {
       }
     }
   }, [gridSize3D, isRunning3D, rule3D]);
-  const handleCellToggle2D = useCallback((rowIndex, colIndex) => {
+  // `state` sets the cell to that state (WireWorld painting); without it the cell toggles between dead and live
+  const handleCellToggle2D = useCallback((rowIndex, colIndex, state) => {
     console.log('[App] handleCellToggle2D: Called with rowIndex, colIndex', rowIndex, colIndex, 'isRunning2D:', isRunning2D);
     if (!isRunning2D) {
       setGrid2D((prevGrid) => {
         console.log('[App] handleCellToggle2D: grid2D state before toggle for cell', rowIndex, colIndex, 'Value:', prevGrid[rowIndex] ? prevGrid[rowIndex][colIndex] : 'undefined');
         const newGrid = prevGrid.map(row => [...row]);
         if (rowIndex >= 0 && rowIndex < newGrid.length && colIndex >= 0 && colIndex < newGrid[0].length) {
-          newGrid[rowIndex][colIndex] = newGrid[rowIndex][colIndex] === 0 ? 1 : 0;
+          newGrid[rowIndex][colIndex] = state ?? (newGrid[rowIndex][colIndex] === 0 ? 1 : 0);
           console.log('[App] handleCellToggle2D: newGrid state after toggle for cell', rowIndex, colIndex, 'New Value:', newGrid[rowIndex][colIndex]);
         }
         return newGrid;
@@ -254,23 +773,15 @@ function App() {
 
   // --- Simulation `useEffect` Hooks ---
   // 1D Simulation Loop
+  // Each tick computes from the current (previous, latest) rows, so like the 2D loop it restarts on every update
   useEffect(() => {
     if (activeView === '1d' && isRunning1D) {
       const intervalId = setInterval(() => {
-        setGenerationsHistory((prevHistory) => {
-          const currentGen = prevHistory[prevHistory.length - 1];
-          const nextGen = calculateNextGeneration1D(currentGen, rule1D);
-          const newHistory = [...prevHistory, nextGen];
-          if (newHistory.length > MAX_HISTORY_LENGTH_1D) {
-            return newHistory.slice(newHistory.length - MAX_HISTORY_LENGTH_1D);
-          }
-          return newHistory;
-        });
-        setGenerationCount1D((prevCount) => prevCount + 1);
+        advance1D(generationsPerTick1D);
       }, simulationSpeed1D);
       return () => clearInterval(intervalId);
     }
-  }, [activeView, isRunning1D, rule1D, simulationSpeed1D]); // Added simulationSpeed1D to deps
+  }, [activeView, isRunning1D, advance1D, simulationSpeed1D, generationsPerTick1D]);
 
   // 2D Simulation Loop
   useEffect(() => {
@@ -281,14 +792,33 @@ function App() {
         setIsRunning2D(false);
         return;
       }
+      // Continuous grids follow their own model (continuousAutomata2D.js) instead of rule2D
+      if (cellType2D === 'continuous') {
+        const intervalId = setInterval(() => {
+          setGrid2D((prevGrid) => calculateNextGenerationContinuous2D(prevGrid, continuousSettings2D));
+          setGenerationCount2D((prevCount) => prevCount + 1);
+        }, simulationSpeed2D);
+        return () => clearInterval(intervalId);
+      }
+      // Turmites move ants as well as cells, so they run on their own agent layer (turmites2D.js)
+      const turmiteRule = getRuleDefinition2D(rule2D);
+      if (turmiteRule?.family === 'turmite') {
+        const intervalId = setInterval(() => {
+          const next = stepTurmites2D(grid2D, ants2D, turmiteRule, turmiteStepsPerTick2D);
+          setGrid2D(next.grid);
+          setAnts2D(next.ants);
+          setGenerationCount2D((prevCount) => prevCount + turmiteStepsPerTick2D);
+        }, simulationSpeed2D);
+        return () => clearInterval(intervalId);
+      }
       const intervalId = setInterval(() => {
         console.log('[App] Simulation tick: updating grid2D via calculateNextGeneration2D with rule:', rule2D);
-        setGrid2D((prevGrid) => calculateNextGeneration2D(prevGrid, rule2D));
+        setGrid2D((prevGrid) => calculateNextGeneration2D(prevGrid, rule2D, generationCount2D, neighborhood2D));
         setGenerationCount2D((prevCount) => prevCount + 1);
       }, simulationSpeed2D);
       return () => clearInterval(intervalId);
     }
-  }, [activeView, isRunning2D, grid2D, rule2D, simulationSpeed2D]);
+  }, [activeView, isRunning2D, grid2D, ants2D, rule2D, neighborhood2D, simulationSpeed2D, generationCount2D, turmiteStepsPerTick2D, cellType2D, continuousSettings2D]);
 
   // 3D Simulation Loop
   useEffect(() => {
@@ -367,13 +897,19 @@ function App() {
     
     checkWebGPU();
   }, [gpuBackend]);
+
+  const ruleDefinition2D = getRuleDefinition2D(rule2D, getNeighborhoodOffsets2D(neighborhood2D).length);
+  const isContinuous2D = cellType2D === 'continuous';
+  const isWireWorld2D = !isContinuous2D && ruleDefinition2D?.family === 'wireworld';
+  const isTurmite2D = !isContinuous2D && ruleDefinition2D?.family === 'turmite';
   
   // --- Inline Styles (Consider moving to CSS Modules or index.css if more complex) ---
   const appSpecificStyles = {
     appHeader: { backgroundColor: '#004085', padding: '15px', color: 'white', marginBottom: '25px', width: '100%', textAlign: 'center', borderRadius: '4px 4px 0 0' },
     viewSwitcher: { marginBottom: '20px', display: 'flex', justifyContent: 'center', gap: '10px' },
     automatonDisplayContainer: { display: 'flex', flexDirection: 'column', alignItems: 'center', marginTop: '20px', padding: '10px', border: '1px solid #eee', borderRadius: '4px', backgroundColor: '#fdfdfd' },
-    statusText: { marginTop: '10px', fontSize: '0.9em', color: '#555' }
+    statusText: { marginTop: '10px', fontSize: '0.9em', color: '#555' },
+    sideBySide: { display: 'flex', alignItems: 'flex-start', gap: '15px', flexWrap: 'wrap', justifyContent: 'center' }
   };
   
   return (
@@ -398,19 +934,136 @@ function App() {
             onStart={handleStart1D}
             onPause={handlePause1D}
             onReset={handleReset1D}
+            latticeType={latticeType1D}
+            onLatticeTypeChange={handleLatticeTypeChange1D}
+            cmlSettings={cmlSettings1D}
+            onCmlSettingsChange={handleCmlSettingsChange1D}
             onRuleChange={handleRuleChange1D}
             currentRule={rule1D}
+            states={states1D}
+            onStatesChange={handleStatesChange1D}
+            ruleType={ruleType1D}
+            onRuleTypeChange={handleRuleTypeChange1D}
+            radius={radius1D}
+            onRadiusChange={handleRadiusChange1D}
+            secondOrder={secondOrder1D}
+            onSecondOrderChange={handleSecondOrderChange1D}
+            onStepForward={handleStepForward1D}
+            onStepBackward={handleStepBackward1D}
             isRunning={isRunning1D}
             simulationSpeed={simulationSpeed1D}
             onSpeedChange={handleSpeedChange1D}
+            generationsPerTick={generationsPerTick1D}
+            onGenerationsPerTickChange={handleGenerationsPerTickChange1D}
+            cellCount={cellCount1D}
+            onCellCountChange={handleCellCountChange1D}
+            initialCondition={initialCondition1D}
+            onInitialConditionChange={handleInitialConditionChange1D}
+            onNewSeed={handleNewSeed1D}
+            updateScheme={updateScheme1D}
+            onUpdateSchemeChange={handleUpdateSchemeChange1D}
+            onNewUpdateSeed={handleNewUpdateSeed1D}
+            topologySettings={topologySettings1D}
+            onTopologySettingsChange={handleTopologySettingsChange1D}
+            adjacencyError={adjacencyError1D || topologyError1D}
+            onNewTopologySeed={handleNewTopologySeed1D}
           />
-          <div style={appSpecificStyles.automatonDisplayContainer}>
-            <Automaton1DView
-              generationsHistory={generationsHistory}
-              onCellClick={handleCellClick1D}
+          {isElementaryRule1D && (
+            <RuleTableEditor1D
+              rule={Number(rule1D)}
+              onRuleChange={handleRuleChange1D}
+              disabled={isRunning1D}
             />
-            <p style={appSpecificStyles.statusText}>Generation: {generationCount1D}</p>
-            <p style={appSpecificStyles.statusText}>Rule: {rule1D}</p>
+          )}
+          <div style={appSpecificStyles.automatonDisplayContainer}>
+            <div style={appSpecificStyles.viewSwitcher}>
+              <button onClick={() => handleView1DModeChange('spacetime')} disabled={view1DMode === 'spacetime'}>Spacetime diagram</button>
+              <button onClick={() => handleView1DModeChange('gallery')} disabled={view1DMode === 'gallery'}>Rule gallery</button>
+              <button onClick={() => handleView1DModeChange('search')} disabled={view1DMode === 'search'}>Rule search</button>
+            </div>
+            {/* Kept mounted while hidden, so a search keeps running while its rules are viewed */}
+            <div hidden={view1DMode !== 'search'} style={{ width: '100%' }}>
+              <RuleSearch1D onLoadRule={handleLoadSearchChampion1D} />
+            </div>
+            {view1DMode === 'search' ? null : view1DMode === 'gallery' ? (
+              <RuleGallery1D
+                initialGeneration={galleryInitialGeneration1D}
+                currentRule={isElementaryRule1D ? Number(rule1D) : null}
+                onSelectRule={handleGallerySelect1D}
+              />
+            ) : (
+              <>
+                <div style={appSpecificStyles.sideBySide}>
+                  <Automaton1DView
+                    generationsHistory={generationsHistory}
+                    firstGeneration={generationCount1D - generationsHistory.length + 1}
+                    ghost={branchGhost1D}
+                    damage={damageRun1D}
+                    damageColor={DAMAGE_COLOR_1D}
+                    particles={particleOverlay1D}
+                    colormap={isCML1D ? cmlSettings1D.colormap : null}
+                    onCellClick={handleCellClick1D}
+                  />
+                  {topology1D && !isCML1D && (
+                    <div>
+                      <GraphLayout1D topology={topology1D} row={generationsHistory[generationsHistory.length - 1]} />
+                      <p style={appSpecificStyles.statusText}>
+                        {countRewiredLinks(topology1D)} of {2 * topology1D.left.length} links differ from the ring
+                      </p>
+                    </div>
+                  )}
+                </div>
+                <p style={appSpecificStyles.statusText}>Generation: {generationCount1D}</p>
+                {!isCML1D && (
+                  <>
+                    <label style={appSpecificStyles.statusText}>
+                      <input type="checkbox" checked={damageMode1D} onChange={(e) => handleDamageModeChange1D(e.target.checked)} disabled={isRunning1D} />
+                      {' '}Damage spreading: run a perturbed copy and highlight where it differs
+                    </label>
+                    {damageRun1D && (
+                      <>
+                        <p style={appSpecificStyles.statusText}>
+                          Perturbed at generation {damageRun1D.startGeneration}, cells {damageCells1D.length > 0 ? damageCells1D.join(', ') : 'none'}
+                          {' '}(click cells of that row to toggle them, or any other row to restart the copy there).
+                          {damageGrowthRate1D !== null && ` Width growth: ${damageGrowthRate1D.toFixed(3)} cells/generation.`}
+                        </p>
+                        <LineChart series={damageChartSeries1D} xLabel="Generation" yLabel="Width" yMin={0} />
+                      </>
+                    )}
+                    <label style={appSpecificStyles.statusText}>
+                      <input type="checkbox" checked={showStats1D} onChange={(e) => setShowStats1D(e.target.checked)} />
+                      {' '}Show statistics
+                    </label>
+                    <ParticlePanel1D
+                      enabled={showParticles1D}
+                      onEnabledChange={setShowParticles1D}
+                      words={domainWords1D}
+                      onWordsChange={handleDomainWordsChange1D}
+                      onDetect={handleDetectDomain1D}
+                      isPicking={isPickingDomain1D}
+                      onPickToggle={handlePickDomainToggle1D}
+                      message={domainMessage1D}
+                      summary={particleSummary1D}
+                      states={states1D}
+                    />
+                    {showStats1D && <StatsPanel1D stats={stats1D} states={states1D} onExportCsv={handleExportStats1D} />}
+                  </>
+                )}
+                {branchGhost1D && (
+                  <p style={appSpecificStyles.statusText}>
+                    Branched at generation {branchGhost1D.startGeneration - 1}; the original continuation is shown ghosted.
+                    <button onClick={handleClearBranchGhost1D}>Clear comparison</button>
+                  </p>
+                )}
+              </>
+            )}
+            {isCML1D ? (
+              <p style={appSpecificStyles.statusText}>
+                Coupled map lattice: {CML_MAPS_1D[cmlSettings1D.map].name}, {CML_MAPS_1D[cmlSettings1D.map].parameterName} = {cmlSettings1D.parameter}, ε = {cmlSettings1D.coupling}
+              </p>
+            ) : (
+              <p style={appSpecificStyles.statusText}>Rule: {rule1D.toString()}{secondOrder1D && 'R'} ({states1D} states, {ruleType1D}, r = {radius1D}{secondOrder1D && ', second-order'})</p>
+            )}
           </div>
         </>
       )}
@@ -424,17 +1077,47 @@ function App() {
             isRunning={isRunning2D}
             currentRule={rule2D}
             onRuleChange={handleRuleChange2D}
+            neighborhood={neighborhood2D}
+            onNeighborhoodChange={handleNeighborhoodChange2D}
             simulationSpeed={simulationSpeed2D}
             onSpeedChange={handleSpeedChange2D}
+            gridSize={gridSize2D}
+            onGridSizeChange={handleGridSizeChange2D}
+            onRandomFill={handleRandomFill2D}
+            paintState={paintState2D}
+            onPaintStateChange={setPaintState2D}
+            onLoadWireWorldPattern={handleLoadWireWorldPattern2D}
+            antCount={ants2D.length}
+            onAntCountChange={handleAntCountChange2D}
+            turmiteStepsPerTick={turmiteStepsPerTick2D}
+            onTurmiteStepsPerTickChange={setTurmiteStepsPerTick2D}
+            onTurmiteJump={handleTurmiteJump2D}
+            cellType={cellType2D}
+            onCellTypeChange={handleCellTypeChange2D}
+            continuousSettings={continuousSettings2D}
+            onContinuousSettingsChange={handleContinuousSettingsChange2D}
+            onLoadLeniaSpecies={handleLoadLeniaSpecies2D}
           />
           <div style={appSpecificStyles.automatonDisplayContainer}>
             <Automaton2DView
               currentGrid={grid2D}
-              onCellToggle={handleCellToggle2D}
+              onCellToggle={isTurmite2D ? handleAntToggle2D : handleCellToggle2D}
+              numStates={ruleDefinition2D?.states ?? 2}
+              lattice={!isContinuous2D && ruleDefinition2D?.hex ? 'hex' : 'square'}
+              palette={PALETTES_2D[ruleDefinition2D?.family] || 'generations'}
+              paintState={isWireWorld2D ? paintState2D : null}
+              ants={isTurmite2D ? ants2D : null}
+              colormap={isContinuous2D ? continuousSettings2D.colormap : null}
               // width/height for Automaton2DView can be passed if needed
             />
-            <p style={appSpecificStyles.statusText}>Generation: {generationCount2D}</p>
-            <p style={appSpecificStyles.statusText}>Rule: {rule2D}</p>
+            <p style={appSpecificStyles.statusText}>{isTurmite2D ? `Step: ${generationCount2D.toLocaleString()}` : `Generation: ${generationCount2D}`}</p>
+            <p style={appSpecificStyles.statusText}>
+              {isContinuous2D
+                ? (continuousSettings2D.model === 'lenia'
+                  ? `Lenia: R = ${continuousSettings2D.lenia.radius}, μ = ${continuousSettings2D.lenia.mu}, σ = ${continuousSettings2D.lenia.sigma}, peaks ${continuousSettings2D.lenia.peaks.map((peak) => +peak.toFixed(3)).join(', ')}, dt = ${continuousSettings2D.lenia.dt}`
+                  : `SmoothLife: radii ${continuousSettings2D.smoothLife.innerRadius} / ${continuousSettings2D.smoothLife.outerRadius}, dt = ${continuousSettings2D.smoothLife.dt}`)
+                : `Rule: ${rule2D}`}
+            </p>
           </div>
         </>
       )}
@@ -0,0 +1,367 @@
+// automataDomains1D.js - Domain filtering and particle tracking for 1D runs (computational mechanics)
+//
+// A domain is a regular background, described by one or more spatially periodic words such as "0001"
+// (rows of a domain with a temporal period show several words, e.g. rule 54's background). A cell belongs
+// to the domain when it lies in a long enough stretch of the row that repeats one of the words; all other
+// cells are defects. Connected runs of defects are particles, followed from row to row through their
+// light cones to get stable labels, velocities and collisions.
+
+const MAX_DOMAIN_PERIOD_1D = 16;
+const DETECTION_SAMPLE_ROWS = 200; // Rows at the end of the history used to auto-detect a domain
+const MIN_DOMAIN_COVERAGE = 0.6; // Auto-detection gives up when no period covers this much of the sample
+const MIN_WORD_SHARE = 0.1; // Words covering less than this share of the domain are left out as noise
+
+// Stretches shorter than two periods (and than 3 cells) are too short to tell domain from defect
+const getMinimumStretch = (period) => Math.max(2 * period, 3);
+
+// Shortest word that repeats to `word`, e.g. "0101" -> "01"
+const reduceWord = (word) => {
+  for (let period = 1; period < word.length; period++) {
+    if (word.length % period === 0 && word.slice(period) + word.slice(0, period) === word) {
+      return word.slice(0, period);
+    }
+  }
+  return word;
+};
+
+// All words in the same rotation class have one canonical form: the smallest rotation
+const canonicalWord = (word) => {
+  let smallest = word;
+  for (let i = 1; i < word.length; i++) {
+    const rotation = word.slice(i) + word.slice(0, i);
+    if (rotation < smallest) smallest = rotation;
+  }
+  return smallest;
+};
+
+// Parse user-typed domain words, e.g. "0001, 0111". Returns canonical words, or null if invalid.
+const parseDomainWords = (text, states = 2) => {
+  const words = text.split(/[\s,;]+/).filter((word) => word !== '');
+  const pattern = new RegExp(`^[0-${states - 1}]{1,${MAX_DOMAIN_PERIOD_1D}}$`);
+  if (words.length === 0 || !words.every((word) => pattern.test(word))) return null;
+  return [...new Set(words.map((word) => canonicalWord(reduceWord(word))))];
+};
+
+const readBlock = (row, start, length) => {
+  let block = '';
+  for (let i = 0; i < length; i++) block += row[(start + i) % row.length];
+  return block;
+};
+
+// Maximal stretches of a row that repeat with period p (cyclically), at least getMinimumStretch(p) long.
+// Returns [{ start, length }]; a row that is p-periodic all the way round is one stretch of its full length.
+const findPeriodicStretches = (row, period) => {
+  const len = row.length;
+  const minimumStretch = getMinimumStretch(period);
+  const repeats = (j) => row[j] === row[(j + period) % len];
+  let breakIndex = -1;
+  for (let j = 0; j < len; j++) {
+    if (!repeats(j)) {
+      breakIndex = j;
+      break;
+    }
+  }
+  if (breakIndex < 0) return len >= minimumStretch ? [{ start: 0, length: len }] : [];
+
+  // Walk once round the ring starting after a break; a run of repeating positions a..b covers cells a..b+p
+  const stretches = [];
+  let runStart = -1;
+  for (let step = 1; step <= len; step++) {
+    const j = (breakIndex + step) % len;
+    if (step < len && repeats(j)) {
+      if (runStart < 0) runStart = j;
+    } else if (runStart >= 0) {
+      const runLength = (j - runStart + len) % len;
+      const length = Math.min(len, runLength + period);
+      if (length >= minimumStretch) stretches.push({ start: runStart, length });
+      runStart = -1;
+    }
+  }
+  return stretches;
+};
+
+// Defect mask of a row: 1 where a cell is not explained by any of the domain words. Where two patches of
+// domain meet out of phase their stretches touch or overlap, so the overlapping cells and the outermost
+// cell of every stretch count as defects too; otherwise such domain walls would vanish on some rows.
+const filterDomain = (row, words) => {
+  const len = row.length;
+  const mask = new Uint8Array(len).fill(1);
+  const wordsByPeriod = new Map();
+  words.forEach((word) => {
+    if (!wordsByPeriod.has(word.length)) wordsByPeriod.set(word.length, new Set());
+    wordsByPeriod.get(word.length).add(word);
+  });
+  wordsByPeriod.forEach((wordSet, period) => {
+    const coverCount = new Uint8Array(len);
+    const inDomainStretch = new Uint8Array(len);
+    findPeriodicStretches(row, period).forEach(({ start, length }) => {
+      const isDomain = wordSet.has(canonicalWord(readBlock(row, start, period)));
+      const isWholeRow = length === len;
+      for (let i = 0; i < length; i++) {
+        const cell = (start + i) % len;
+        coverCount[cell]++;
+        if (isDomain && (isWholeRow || (i > 0 && i < length - 1))) inDomainStretch[cell] = 1;
+      }
+    });
+    for (let cell = 0; cell < len; cell++) {
+      if (coverCount[cell] === 1 && inDomainStretch[cell]) mask[cell] = 0;
+    }
+  });
+  return mask;
+};
+
+// Guess the background of the last rows of a run: the shortest period whose periodic stretches cover
+// (nearly) as much of the sample as any period does, with the words making up those stretches.
+// Returns canonical words, or null if the sample shows no dominant periodic pattern.
+const detectDomain = (rows) => {
+  const sample = rows.slice(-DETECTION_SAMPLE_ROWS);
+  const totalCells = sample.reduce((sum, row) => sum + row.length, 0);
+  if (totalCells === 0) return null;
+
+  const candidates = [];
+  for (let period = 1; period <= MAX_DOMAIN_PERIOD_1D; period++) {
+    const wordCoverage = new Map();
+    let covered = 0;
+    sample.forEach((row) => {
+      const isCovered = new Uint8Array(row.length); // Stretches overlap at their ends; count each cell once
+      findPeriodicStretches(row, period).forEach(({ start, length }) => {
+        const word = canonicalWord(reduceWord(readBlock(row, start, period)));
+        wordCoverage.set(word, (wordCoverage.get(word) || 0) + length);
+        for (let i = 0; i < length; i++) isCovered[(start + i) % row.length] = 1;
+      });
+      covered += isCovered.reduce((sum, value) => sum + value, 0);
+    });
+    candidates.push({ period, covered, wordCoverage });
+  }
+
+  const bestCoverage = Math.max(...candidates.map(({ covered }) => covered));
+  if (bestCoverage < MIN_DOMAIN_COVERAGE * totalCells) return null;
+  const { covered, wordCoverage } = candidates.find((candidate) => candidate.covered >= 0.95 * bestCoverage);
+  const words = [...wordCoverage.entries()]
+    .filter(([, cells]) => cells >= MIN_WORD_SHARE * covered)
+    .map(([word]) => word);
+  return words.length > 0 ? words : null;
+};
+
+// The domain around one cell the user points at: the period repeating there, and the words
+// found at the same place in the following rows (covering domains with a temporal period too).
+// Returns canonical words, or null if the cell is not inside a periodic stretch.
+const pickDomainAt = (rows, rowIndex, cellIndex) => {
+  const coveringStretch = (row, period) => findPeriodicStretches(row, period).find(({ start, length }) => (
+    (cellIndex - start + row.length) % row.length < length
+  ));
+
+  // Prefer the period whose stretch around the cell is longest, so e.g. a short run of 1s inside
+  // rule 110's ether doesn't pass for the domain
+  let best = null;
+  for (let period = 1; period <= MAX_DOMAIN_PERIOD_1D; period++) {
+    const stretch = coveringStretch(rows[rowIndex], period);
+    if (stretch && (!best || stretch.length > best.length)) best = { period, length: stretch.length };
+  }
+  if (best) {
+    const words = new Set();
+    const lastRow = Math.min(rows.length - 1, rowIndex + 2 * MAX_DOMAIN_PERIOD_1D);
+    for (let index = rowIndex; index <= lastRow; index++) {
+      const stretch = coveringStretch(rows[index], best.period);
+      if (stretch) words.add(canonicalWord(reduceWord(readBlock(rows[index], stretch.start, best.period))));
+    }
+    return [...words];
+  }
+  return null;
+};
+
+// Connected runs of defect cells, cyclically: [{ start, length }]
+const findDefectRuns = (mask) => {
+  const len = mask.length;
+  const firstDomainCell = mask.indexOf(0);
+  if (firstDomainCell < 0) return len > 0 ? [{ start: 0, length: len }] : [];
+  const runs = [];
+  let runStart = -1;
+  for (let step = 1; step <= len; step++) {
+    const i = (firstDomainCell + step) % len;
+    if (step < len && mask[i] === 1) {
+      if (runStart < 0) runStart = i;
+    } else if (runStart >= 0) {
+      runs.push({ start: runStart, length: (i - runStart + len) % len });
+      runStart = -1;
+    }
+  }
+  return runs;
+};
+
+// Tracking state is cached per row and domain: rows are never mutated and always follow the row they were
+// computed from, so each new generation is tracked once, from its predecessor's state.
+const trackingCache = new WeakMap();
+
+// Shortest distance between two positions on a ring of len cells
+const ringDistance = (a, b, len) => {
+  const distance = Math.abs(a - b) % len;
+  return Math.min(distance, len - distance);
+};
+
+// Particles of one row, continuing the tracks of the previous row's state (null for a first row).
+// Particles in the two rows are linked when the earlier one's light cone (radius cells each way) reaches the
+// later one, and each group of linked particles continues one track: the largest new particle (the nearest to
+// the old center on a tie) takes the id of the largest old one, so a particle that briefly breaks into pieces
+// or absorbs a small one keeps its id. Other new particles in the group get fresh ids. A group with more than
+// one particle on either side is a collision (or an emission / absorption).
+const trackRow = (row, words, radius, previousState) => {
+  const len = row.length;
+  const mask = filterDomain(row, words);
+  const runs = findDefectRuns(mask);
+  const runIndexForCell = new Int32Array(len).fill(-1);
+  runs.forEach(({ start, length }, runIndex) => {
+    for (let i = 0; i < length; i++) runIndexForCell[(start + i) % len] = runIndex;
+  });
+
+  let nextId = previousState ? previousState.nextId : 1;
+  const previousParticles = previousState && previousState.ids.length === len ? previousState.particles : [];
+
+  // Links between previous particles and the new runs their light cones reach
+  const successors = previousParticles.map(({ start, length }) => {
+    const reached = new Set();
+    for (let offset = -radius; offset < length + radius; offset++) {
+      const runIndex = runIndexForCell[(((start + offset) % len) + len) % len];
+      if (runIndex >= 0) reached.add(runIndex);
+    }
+    return [...reached];
+  });
+
+  // Group linked particles (union-find over previous particles, then new runs)
+  const parent = Array.from({ length: previousParticles.length + runs.length }, (_, i) => i);
+  const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+  successors.forEach((reached, previousIndex) => reached.forEach((runIndex) => {
+    parent[find(previousParticles.length + runIndex)] = find(previousIndex);
+  }));
+
+  const groups = new Map();
+  const groupFor = (node) => {
+    const root = find(node);
+    if (!groups.has(root)) groups.set(root, { previousIndices: [], runIndices: [] });
+    return groups.get(root);
+  };
+  previousParticles.forEach((particle, previousIndex) => groupFor(previousIndex).previousIndices.push(previousIndex));
+  runs.forEach((run, runIndex) => groupFor(previousParticles.length + runIndex).runIndices.push(runIndex));
+
+  const runCenter = ({ start, length }) => (start + (length - 1) / 2) % len;
+  const ids = new Array(runs.length);
+  groups.forEach((group) => {
+    const { previousIndices, runIndices } = group;
+    const continued = previousIndices.length > 0
+      ? previousIndices.reduce((best, index) => (previousParticles[index].length > previousParticles[best].length ? index : best))
+      : -1;
+    const continuing = continued >= 0 && runIndices.length > 0
+      ? runIndices.reduce((best, index) => {
+        if (runs[index].length !== runs[best].length) return runs[index].length > runs[best].length ? index : best;
+        const center = previousParticles[continued].center;
+        return ringDistance(runCenter(runs[index]), center, len) < ringDistance(runCenter(runs[best]), center, len) ? index : best;
+      })
+      : -1;
+    runIndices.forEach((runIndex) => {
+      ids[runIndex] = runIndex === continuing ? previousParticles[continued].id : nextId++;
+    });
+    group.incoming = previousIndices.map((index) => previousParticles[index].id);
+    group.outgoing = runIndices.map((runIndex) => ids[runIndex]);
+    group.cells = runIndices.map((runIndex) => runs[runIndex].start + Math.floor(runs[runIndex].length / 2));
+  });
+  // A collision needs at least two particles meeting or coming out of the meeting point
+  const collisions = [...groups.values()]
+    .filter(({ incoming, outgoing }) => incoming.length >= 1 && incoming.length + outgoing.length >= 3)
+    .map(({ incoming, outgoing, cells }) => ({
+      incoming,
+      outgoing,
+      cell: cells.length > 0 ? cells[0] % len : Math.round(previousParticles.find((p) => p.id === incoming[0]).center)
+    }));
+
+  const cellIds = new Int32Array(len).fill(-1);
+  const particles = runs.map(({ start, length }, runIndex) => {
+    for (let i = 0; i < length; i++) cellIds[(start + i) % len] = ids[runIndex];
+    return { id: ids[runIndex], start, length, center: runCenter({ start, length }) };
+  });
+  return { ids: cellIds, particles, collisions, nextId };
+};
+
+// Tracking state of every row: [{ ids (particle id per cell, -1 in the domain), particles, collisions, nextId }]
+const trackParticles = (rows, words, radius = 1) => {
+  const key = `${words.join(',')}|${radius}`;
+  const cached = (row) => trackingCache.get(row)?.get(key);
+  const states = [];
+  rows.forEach((row, index) => {
+    let state = cached(row);
+    if (!state) {
+      state = trackRow(row, words, radius, index > 0 ? states[index - 1] : null);
+      if (!trackingCache.has(row)) trackingCache.set(row, new Map());
+      trackingCache.get(row).set(key, state);
+    }
+    states.push(state);
+  });
+  return states;
+};
+
+// Running summaries are cached per state: each is { generation, startGeneration, tracks, collisions } for the
+// rows from startGeneration up to that state's generation, so a call only walks the rows added since the last one.
+const summaryCache = new WeakMap();
+
+// Tracks and collisions over states[fromIndex...]: tracks are { id, birth, birthCell, last, velocity }
+// (birth is the first generation seen, velocity is in cells per generation and null until a particle has
+// lived two generations), collisions are { generation, cell, incoming, outgoing }. A summary carried on
+// from an earlier call keeps the particles still alive at the start of the rows, so their birth can lie
+// before it.
+const summarizeParticles = (states, firstGeneration, fromIndex = 0) => {
+  const startIndex = Math.max(0, fromIndex);
+  const startGeneration = firstGeneration + startIndex;
+  let tracks = new Map();
+  let collisions = [];
+  let index = states.length - 1;
+  for (; index >= startIndex; index--) {
+    const summary = summaryCache.get(states[index]);
+    if (summary && summary.generation === firstGeneration + index && summary.startGeneration <= startGeneration) {
+      summary.tracks.forEach((track, id) => {
+        if (track.last >= startGeneration) tracks.set(id, { ...track });
+      });
+      collisions = summary.collisions.filter(({ generation }) => generation >= startGeneration);
+      break;
+    }
+  }
+  for (index = Math.max(index + 1, startIndex); index < states.length; index++) {
+    const { ids, particles, collisions: rowCollisions } = states[index];
+    const generation = firstGeneration + index;
+    const len = ids.length;
+    particles.forEach(({ id, center }) => {
+      const track = tracks.get(id);
+      if (!track) {
+        tracks.set(id, { id, birth: generation, birthCell: Math.round(center), last: generation, center, displacement: 0 });
+        return;
+      }
+      // Shortest way round the ring from the last position
+      const step = ((center - track.center + len * 1.5) % len) - len / 2;
+      track.displacement += step;
+      track.center = center;
+      track.last = generation;
+    });
+    rowCollisions.forEach((collision) => collisions.push({ generation, ...collision }));
+  }
+  if (states.length > startIndex) {
+    summaryCache.set(states[states.length - 1], { generation: firstGeneration + states.length - 1, startGeneration, tracks, collisions });
+  }
+  return {
+    tracks: [...tracks.values()].map(({ id, birth, birthCell, last, displacement }) => ({
+      id,
+      birth,
+      birthCell,
+      last,
+      velocity: last > birth ? displacement / (last - birth) : null
+    })),
+    collisions
+  };
+};
+
+export {
+  parseDomainWords,
+  detectDomain,
+  pickDomainAt,
+  filterDomain,
+  trackParticles,
+  summarizeParticles,
+  MAX_DOMAIN_PERIOD_1D
+};
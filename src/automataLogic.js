@@ -1,35 +1,398 @@
 // Content for automataLogic.js
+import { createSeededRandom } from './seededRandom.js';
+
+// Rule families supported by the 1D engine:
+//  - elementary: output depends on the exact neighborhood (Wolfram's k-color codes)
+//  - totalistic: output depends only on the sum of the neighborhood
+//  - outerTotalistic: output depends on the center cell and the sum of the outer cells
+const RULE_TYPES_1D = ['elementary', 'totalistic', 'outerTotalistic'];
+const MAX_STATES_1D = 4;
+const RADII_1D = [1, 2, 3]; // Neighborhood radius r: each cell sees 2r + 1 cells
+
+// Number of digits (table entries) a rule of the given family needs
+const getRuleTableSize = (states = 2, ruleType = 'elementary', radius = 1) => {
+  const neighborhoodSize = 2 * radius + 1;
+  if (ruleType === 'totalistic') {
+    return neighborhoodSize * (states - 1) + 1;
+  }
+  if (ruleType === 'outerTotalistic') {
+    return states * ((neighborhoodSize - 1) * (states - 1) + 1);
+  }
+  return states ** neighborhoodSize;
+};
+
+// Largest valid rule number (as a BigInt) for the given family
+const getMaxRuleNumber = (states = 2, ruleType = 'elementary', radius = 1) => {
+  return BigInt(states) ** BigInt(getRuleTableSize(states, ruleType, radius)) - 1n;
+};
+
+// Convert a rule number (Number or BigInt) to an array of base-k digits, most significant digit first
+const ruleNumberToDigits = (ruleNumber, base = 2, numDigits = 8) => {
+  const isInteger = typeof ruleNumber === 'bigint' || Number.isInteger(ruleNumber);
+  const rule = isInteger ? BigInt(ruleNumber) : -1n;
+  if (rule < 0n || rule >= BigInt(base) ** BigInt(numDigits)) {
+    console.error(`Invalid rule number. Must be between 0 and ${base}^${numDigits} - 1.`);
+    return Array(numDigits).fill(0); // Return a default rule (e.g., all zeros)
+  }
+  return rule.toString(base).padStart(numDigits, '0').split('').map(Number);
+};
+
 const decimalToBinaryArray = (decimalRule, numBits = 8) => {
-  if (typeof decimalRule !== 'number' || decimalRule < 0 || decimalRule > 255) {
-    console.error('Invalid rule number. Must be between 0 and 255.');
-    return Array(numBits).fill(0); // Return a default rule (e.g., all zeros)
+  return ruleNumberToDigits(decimalRule, 2, numBits);
+};
+
+// Parse a rule number typed by the user, in decimal or in hex with a 0x prefix (e.g. 0x005F005F...).
+// Returns a BigInt, or null if the text is not a number.
+const parseRuleNumber = (value) => {
+  const text = String(value).trim();
+  if (!/^(\d+|0[xX][0-9a-fA-F]+)$/.test(text)) {
+    return null;
+  }
+  return BigInt(text);
+};
+
+// Rule table of a rule number: the output for each neighborhood code
+const createRuleTable = (ruleNumber, states = 2, ruleType = 'elementary', radius = 1) => {
+  const size = getRuleTableSize(states, ruleType, radius);
+  // Digits are most significant first, so table entry i is the digit i places from the right
+  return Uint8Array.from(ruleNumberToDigits(ruleNumber, states, size).reverse());
+};
+
+// Cache the last table so running a rule doesn't re-expand a (possibly very large) rule number every generation
+let cachedRuleTable = { key: null, table: null };
+
+const getRuleTable = (ruleNumber, states, ruleType, radius) => {
+  const key = `${ruleType}:${states}:${radius}:${ruleNumber}`;
+  if (cachedRuleTable.key !== key) {
+    cachedRuleTable = { key, table: createRuleTable(ruleNumber, states, ruleType, radius) };
+  }
+  return cachedRuleTable.table;
+};
+
+// Update schemes for a 1D generation:
+//  - synchronous: every cell applies the rule at once (the classic, deterministic CA)
+//  - noisy: every cell applies the rule, but with probability 1 - p the result is replaced by a different,
+//           uniformly chosen state (a flipped bit for two states)
+//  - randomSequential: cells update one at a time, each seeing its neighbors' newest states, in a fresh
+//                      random order every generation (each cell exactly once)
+//  - alphaAsynchronous: each cell applies the rule with probability alpha and otherwise keeps its state
+const UPDATE_MODES_1D = ['synchronous', 'noisy', 'randomSequential', 'alphaAsynchronous'];
+
+// Index of the cell `offset` places from cell i: on the periodic ring, or on a graph topology
+// ({ left, right }, see graphTopology1D.js) by following the node's links |offset| times
+const getNeighborIndex = (i, offset, len, topology) => {
+  if (!topology) return (i + offset + len) % len;
+  const links = offset < 0 ? topology.left : topology.right;
+  let index = i;
+  for (let step = 0; step < Math.abs(offset); step++) {
+    index = links[index];
+  }
+  return index;
+};
+
+// New state of cell i under the rule table, reading the neighborhood from `generation`
+const getCellOutput = (generation, i, ruleTable, states, ruleType, radius, topology = null) => {
+  const len = generation.length;
+  const currentCell = generation[i];
+  let index = 0;
+  for (let offset = -radius; offset <= radius; offset++) {
+    const neighbor = generation[getNeighborIndex(i, offset, len, topology)];
+    if (ruleType === 'elementary') {
+      // Read the neighborhood as a base-k number, leftmost cell most significant;
+      // for k = 2, r = 1 this is the usual 0-7 Wolfram pattern index
+      index = index * states + neighbor;
+    } else {
+      index += neighbor;
+    }
   }
-  let binaryString = decimalRule.toString(2);
-  while (binaryString.length < numBits) {
-    binaryString = '0' + binaryString;
+  if (ruleType === 'outerTotalistic') {
+    index = (index - currentCell) * states + currentCell;
   }
-  return binaryString.split('').map(Number);
+  return ruleTable[index];
 };
 
-const calculateNextGeneration = (currentGeneration, ruleNumber) => {
+// One step of the rule given as its table (see createRuleTable), for callers that run many rules (e.g. the rule
+// search) and would otherwise have the one-table cache re-expand a rule number on every step.
+// Options: states, ruleType, radius, `topology` (a graph to run on instead of the ring, see graphTopology1D.js),
+// and for the stochastic update modes `updateMode`, `probability` (p or alpha) and `random`, a seeded
+// generator (see seededRandom.js) so runs can be replayed exactly
+const calculateNextGenerationFromTable = (currentGeneration, ruleTable, options = {}) => {
   if (!currentGeneration || currentGeneration.length === 0) {
     return [];
   }
-  const ruleBinary = decimalToBinaryArray(ruleNumber);
-  const nextGeneration = [];
+  const { states = 2, ruleType = 'elementary', radius = 1, updateMode = 'synchronous', probability = 1, topology = null } = options;
+  const random = options.random ?? createSeededRandom(0);
   const len = currentGeneration.length;
+  const nextGeneration = new Uint8Array(len); // States fit in a byte; keeps long histories compact
+
+  if (updateMode === 'randomSequential') {
+    // Fisher-Yates shuffle of the update order, then update in place
+    const order = Array.from({ length: len }, (_, i) => i);
+    for (let i = len - 1; i > 0; i--) {
+      const j = Math.floor(random() * (i + 1));
+      [order[i], order[j]] = [order[j], order[i]];
+    }
+    nextGeneration.set(currentGeneration);
+    order.forEach((i) => {
+      nextGeneration[i] = getCellOutput(nextGeneration, i, ruleTable, states, ruleType, radius, topology);
+    });
+    return nextGeneration;
+  }
+
+  for (let i = 0; i < len; i++) {
+    let output = getCellOutput(currentGeneration, i, ruleTable, states, ruleType, radius, topology);
+    if (updateMode === 'alphaAsynchronous' && random() >= probability) {
+      output = currentGeneration[i];
+    } else if (updateMode === 'noisy' && random() >= probability) {
+      output = (output + 1 + Math.floor(random() * (states - 1))) % states;
+    }
+    nextGeneration[i] = output;
+  }
+  return nextGeneration;
+};
+
+// The same step with the rule given as a rule number (its table is cached)
+const calculateNextGeneration = (currentGeneration, ruleNumber, options = {}) => {
+  const { states = 2, ruleType = 'elementary', radius = 1 } = options;
+  return calculateNextGenerationFromTable(currentGeneration, getRuleTable(ruleNumber, states, ruleType, radius), options);
+};
+
+// Second-order (Fredkin) step: next = f(current) - previous (mod k), which is f(current) XOR previous for two
+// states. Solving for previous gives the same formula with next and previous swapped, so calling this with
+// (next, current) recovers previous: any base rule f becomes reversible.
+const calculateNextGenerationSecondOrder = (previousGeneration, currentGeneration, ruleNumber, options = {}) => {
+  const { states = 2 } = options;
+  const nextGeneration = calculateNextGeneration(currentGeneration, ruleNumber, options);
+  for (let i = 0; i < nextGeneration.length; i++) {
+    nextGeneration[i] = (nextGeneration[i] - previousGeneration[i] + states) % states;
+  }
+  return nextGeneration;
+};
+
+// --- Coupled map lattices (continuous-valued 1D) ---
+// Local maps of [0, 1] onto itself, each with one parameter and the range it stays in [0, 1] for
+const CML_MAPS_1D = {
+  logistic: { name: 'Logistic: r·x(1 - x)', parameterName: 'r', min: 0, max: 4, defaultParameter: 3.9, apply: (x, r) => r * x * (1 - x) },
+  tent: { name: 'Tent: μ·min(x, 1 - x)', parameterName: 'μ', min: 0, max: 2, defaultParameter: 1.9, apply: (x, mu) => mu * Math.min(x, 1 - x) },
+  sine: { name: 'Sine: a·sin(πx) / 4', parameterName: 'a', min: 0, max: 4, defaultParameter: 3.9, apply: (x, a) => (a / 4) * Math.sin(Math.PI * x) }
+};
 
+// One step of a diffusively coupled map lattice on a ring:
+// x'_i = (1 - ε)·f(x_i) + (ε / 2)·(f(x_{i-1}) + f(x_{i+1}))
+const calculateNextGenerationCML = (currentGeneration, options = {}) => {
+  const { map = 'logistic', parameter = CML_MAPS_1D.logistic.defaultParameter, coupling = 0 } = options;
+  const localMap = CML_MAPS_1D[map];
+  if (!localMap) {
+    console.error(`Unknown coupled map lattice map: ${map}`);
+    return currentGeneration;
+  }
+  const len = currentGeneration.length;
+  const mapped = new Float32Array(len);
+  for (let i = 0; i < len; i++) {
+    mapped[i] = localMap.apply(currentGeneration[i], parameter);
+  }
+  const nextGeneration = new Float32Array(len);
   for (let i = 0; i < len; i++) {
-    const leftNeighbor = currentGeneration[(i - 1 + len) % len];
-    const currentCell = currentGeneration[i];
-    const rightNeighbor = currentGeneration[(i + 1) % len];
-    
-    // Form the 3-cell neighborhood pattern and convert to decimal index (0-7)
-    const pattern = (leftNeighbor << 2) | (currentCell << 1) | rightNeighbor;
-    // The ruleBinary array is indexed from right to left (7-pattern) for standard Wolfram rule representation
-    nextGeneration[i] = ruleBinary[7 - pattern];
+    nextGeneration[i] = (1 - coupling) * mapped[i] + (coupling / 2) * (mapped[(i - 1 + len) % len] + mapped[(i + 1) % len]);
   }
   return nextGeneration;
 };
 
-export { calculateNextGeneration, decimalToBinaryArray };
+// First row of a coupled map lattice: every cell at 0.5, plus seeded uniform noise of total width `noise`
+const createInitialGenerationCML = (cellCount, options = {}) => {
+  const { noise = 1, seed = 0 } = options;
+  const random = createSeededRandom(seed);
+  const generation = new Float32Array(cellCount);
+  for (let i = 0; i < cellCount; i++) {
+    generation[i] = 0.5 + noise * (random() - 0.5);
+  }
+  return generation;
+};
+
+// --- Elementary (2-state, radius-1) rule symmetries ---
+const ELEMENTARY_RULE_COUNT = 256;
+
+// Wolfram class of each of the 88 minimal (class-representative) elementary rules, after Martínez (2013).
+// Other rules take the class of their representative; see getWolframClass.
+const WOLFRAM_CLASS_REPRESENTATIVES = {
+  1: [0, 8, 32, 40, 128, 136, 160, 168],
+  2: [1, 2, 3, 4, 5, 6, 7, 9, 10, 11, 12, 13, 14, 15, 19, 23, 24, 25, 26, 27, 28, 29, 33, 34, 35, 36, 37,
+    38, 42, 43, 44, 46, 50, 51, 56, 57, 58, 62, 72, 73, 74, 76, 77, 78, 94, 104, 108, 130, 132, 134, 138,
+    140, 142, 152, 154, 156, 162, 164, 170, 172, 178, 184, 200, 204, 232],
+  3: [18, 22, 30, 45, 60, 90, 105, 122, 126, 146, 150],
+  4: [41, 54, 106, 110]
+};
+
+// Build a rule from a function giving the new state for each (left, center, right) neighborhood
+const buildElementaryRule = (outputFor) => {
+  let rule = 0;
+  for (let pattern = 0; pattern < 8; pattern++) {
+    if (outputFor((pattern >> 2) & 1, (pattern >> 1) & 1, pattern & 1)) {
+      rule |= 1 << pattern;
+    }
+  }
+  return rule;
+};
+
+const elementaryOutput = (rule, left, center, right) => (rule >> ((left << 2) | (center << 1) | right)) & 1;
+
+// Left-right reflection: the mirrored rule treats (l, c, r) the way the original treats (r, c, l)
+const mirrorRule = (rule) => buildElementaryRule((l, c, r) => elementaryOutput(rule, r, c, l));
+
+// 0/1 exchange: the complemented rule maps the inverted neighborhood to the inverted output
+const complementRule = (rule) => buildElementaryRule((l, c, r) => 1 - elementaryOutput(rule, 1 - l, 1 - c, 1 - r));
+
+const getEquivalentRules = (rule) => ({
+  mirrored: mirrorRule(rule),
+  complemented: complementRule(rule),
+  mirrorComplemented: complementRule(mirrorRule(rule))
+});
+
+// The smallest rule number in the mirror/complement equivalence class
+const getClassRepresentative = (rule) => {
+  const { mirrored, complemented, mirrorComplemented } = getEquivalentRules(rule);
+  return Math.min(rule, mirrored, complemented, mirrorComplemented);
+};
+
+const getWolframClass = (rule) => {
+  const representative = getClassRepresentative(rule);
+  const entry = Object.entries(WOLFRAM_CLASS_REPRESENTATIVES).find(([, rules]) => rules.includes(representative));
+  return entry ? Number(entry[0]) : null;
+};
+
+// Initial-condition generators for a 1D row
+const INITIAL_CONDITION_TYPES_1D = ['single', 'random', 'block', 'string'];
+const MIN_CELL_COUNT_1D = 3;
+const MAX_CELL_COUNT_1D = 5000;
+
+// Parse a typed/pasted row such as "0110 1" into cell states. Whitespace is ignored.
+// Returns null if it contains anything other than digits below `states`.
+const parseStateString = (text, states = 2) => {
+  const digits = String(text).replace(/\s+/g, '');
+  if (digits.length === 0 || !/^\d+$/.test(digits)) {
+    return null;
+  }
+  const cells = digits.split('').map(Number);
+  return cells.every((cell) => cell < states) ? cells : null;
+};
+
+// Build a first generation of `cellCount` cells:
+//  - single: one live cell in the middle
+//  - random: each cell is non-zero with probability `density` (non-zero states chosen uniformly),
+//            drawn from a generator seeded with `seed` so the row can be reproduced exactly
+//  - block:  `pattern` repeated across the whole row
+//  - string: `pattern` placed in the middle of an otherwise empty row (truncated if too long)
+const createInitialGeneration = (cellCount, options = {}) => {
+  const { type = 'single', states = 2, density = 0.5, pattern = '1', seed = 0 } = options;
+  const generation = new Uint8Array(cellCount);
+  if (cellCount === 0) {
+    return generation;
+  }
+
+  if (type === 'random') {
+    const random = createSeededRandom(seed);
+    for (let i = 0; i < cellCount; i++) {
+      if (random() < density) {
+        generation[i] = 1 + Math.floor(random() * (states - 1));
+      }
+    }
+  } else if (type === 'block' || type === 'string') {
+    const cells = parseStateString(pattern, states);
+    if (!cells) {
+      console.error('Invalid initial pattern. Use digits below the number of states.');
+      return generation;
+    }
+    if (type === 'block') {
+      for (let i = 0; i < cellCount; i++) {
+        generation[i] = cells[i % cells.length];
+      }
+    } else {
+      const start = Math.max(0, Math.floor((cellCount - cells.length) / 2));
+      generation.set(cells.slice(0, cellCount), start);
+    }
+  } else {
+    generation[Math.floor(cellCount / 2)] = 1; // Middle cell active
+  }
+  return generation;
+};
+
+// --- Damage spreading ---
+// A perturbed copy of a row: each listed cell moves on to its next state (0 -> 1 -> ... -> k-1 -> 0)
+const perturbGeneration = (generation, cells, states = 2) => {
+  const perturbed = generation.slice();
+  cells.forEach((cell) => {
+    if (cell >= 0 && cell < perturbed.length) perturbed[cell] = (perturbed[cell] + 1) % states;
+  });
+  return perturbed;
+};
+
+// Width of the region where two rows differ: the shortest arc of the ring covering every differing cell
+// (0 if the rows are equal). On a ring the damage can wrap around the edges, so this is the row length
+// minus the longest run of agreeing cells, counted cyclically.
+const getDifferenceWidth = (rowA, rowB) => {
+  const length = rowA.length;
+  let firstDiff = -1;
+  let lastDiff = -1;
+  let longestGap = 0;
+  for (let i = 0; i < length; i++) {
+    if (rowA[i] === rowB[i]) continue;
+    if (firstDiff < 0) firstDiff = i;
+    else longestGap = Math.max(longestGap, i - lastDiff - 1);
+    lastDiff = i;
+  }
+  if (firstDiff < 0) return 0;
+  longestGap = Math.max(longestGap, length - 1 - lastDiff + firstDiff);
+  return length - longestGap;
+};
+
+// Widths are cached per perturbed row (rows are never mutated), so re-plotting a long run every tick is cheap
+const differenceWidthCache = new WeakMap();
+
+// Difference width for every generation where both the run (rows, starting at firstGeneration) and the
+// perturbed copy (damageRun: { startGeneration, rows }) have a row. Returns [{ generation, width }].
+const getDamageSpread = (rows, firstGeneration, damageRun) => {
+  const spread = [];
+  damageRun.rows.forEach((damageRow, index) => {
+    const generation = damageRun.startGeneration + index;
+    const row = rows[generation - firstGeneration];
+    if (!row || row.length !== damageRow.length) return;
+    if (!differenceWidthCache.has(damageRow)) {
+      differenceWidthCache.set(damageRow, getDifferenceWidth(row, damageRow));
+    }
+    spread.push({ generation, width: differenceWidthCache.get(damageRow) });
+  });
+  return spread;
+};
+
+export {
+  calculateNextGeneration,
+  calculateNextGenerationFromTable,
+  createRuleTable,
+  calculateNextGenerationSecondOrder,
+  calculateNextGenerationCML,
+  createInitialGenerationCML,
+  createInitialGeneration,
+  parseStateString,
+  perturbGeneration,
+  getDifferenceWidth,
+  getDamageSpread,
+  decimalToBinaryArray,
+  mirrorRule,
+  complementRule,
+  getEquivalentRules,
+  getClassRepresentative,
+  getWolframClass,
+  ruleNumberToDigits,
+  parseRuleNumber,
+  getRuleTableSize,
+  getMaxRuleNumber,
+  RULE_TYPES_1D,
+  CML_MAPS_1D,
+  UPDATE_MODES_1D,
+  MAX_STATES_1D,
+  RADII_1D,
+  INITIAL_CONDITION_TYPES_1D,
+  MIN_CELL_COUNT_1D,
+  MAX_CELL_COUNT_1D,
+  ELEMENTARY_RULE_COUNT
+};
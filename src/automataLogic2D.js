@@ -1,6 +1,9 @@
 // Content for automataLogic2D.js
+import { parseTurmiteRule2D, turmiteRuleToString2D } from './turmites2D.js';
 
-// Rule definitions in B/S notation
+// Rule definitions in B/S notation. Rules with `states` > 2 belong to the Generations family: a live cell that
+// fails to survive decays through states 2 ... states - 1 before dying, and only state-1 cells count as live
+// neighbors. Without `states` a rule is Life-like (2 states).
 const RULE_DEFINITIONS = {
   'conway': { birth: [3], survival: [2, 3] },                   // Conway's Game of Life (B3/S23)
   'highlife': { birth: [3, 6], survival: [2, 3] },              // High Life (B36/S23)
@@ -10,81 +13,591 @@ const RULE_DEFINITIONS = {
   'lifewithoutdeath': { birth: [3], survival: [0, 1, 2, 3, 4, 5, 6, 7, 8] }, // Life Without Death (B3/S012345678)
   'replicator': { birth: [1, 3, 5, 7], survival: [1, 3, 5, 7] }, // Replicator (B1357/S1357)
   '2x2': { birth: [3, 6], survival: [1, 2, 5] },                // 2x2 (B36/S125)
-  'briansbrain': { type: 'special' }                            // Brian's Brain (3-state)
+  'briansbrain': { birth: [2], survival: [], states: 3 },      // Brian's Brain (/2/3)
+  'starwars': { birth: [2], survival: [3, 4, 5], states: 4 },   // Star Wars (345/2/4)
+  // Isotropic non-totalistic rules (see MOORE_CLASS_LETTERS)
+  'tlife': { birth: [3], survival: [3], survivalClasses: { 2: 'cekan', 4: 'q' } }, // tlife (B3/S2-i34q)
+  'justfriends': { birth: [], survival: [1, 2], birthClasses: { 2: 'cekin' } }, // Just Friends (B2-a/S12)
+  // Rules on the hexagonal lattice (see HEX_NEIGHBOR_OFFSETS_2D)
+  'hexlife': { birth: [2], survival: [3, 4], hex: true },       // Hex Life (B2/S34H)
+  'hexisotropic': { birth: [], survival: [3, 4], birthClasses: { 2: 'o' }, survivalClasses: { 2: 'm' }, hex: true }, // Isotropic Hex Life (B2o/S2m34H)
+  'hexbrain': { birth: [2], survival: [], states: 3, hex: true }, // Brian's Brain on hexagons (B2/S/C3H)
+  'wireworld': { family: 'wireworld', states: 4 },               // WireWorld (see calculateWireWorld)
+  // Turmites: ants walking over the grid rather than a rule for every cell (see turmites2D.js)
+  'langtonsant': parseTurmiteRule2D('RL'),                       // Langton's ant
+  'llrr': parseTurmiteRule2D('LLRR'),
+  'lrrrrrllr': parseTurmiteRule2D('LRRRRRLLR'),
+  'llrrrlrlrllr': parseTurmiteRule2D('LLRRRLRLRLLR'),
+  'rrlllrlllrrr': parseTurmiteRule2D('RRLLLRLLLRRR'),
+  'turmite2state': parseTurmiteRule2D('{{{1,8,1},{1,8,1}},{{1,2,1},{0,1,0}}}'), // 2 ant states, 2 colors
+  // Cyclic CA and Greenberg-Hastings (see parseCyclicRule)
+  'cyclic313': { family: 'cyclic', range: 1, threshold: 3, states: 3, neighborhood: 'moore', greenbergHastings: false },      // 313 (R1/T3/C3/NM)
+  'cyclic14': { family: 'cyclic', range: 1, threshold: 1, states: 14, neighborhood: 'vonNeumann', greenbergHastings: false }, // Cyclic CA (R1/T1/C14/NN)
+  'cyclicspirals': { family: 'cyclic', range: 3, threshold: 5, states: 8, neighborhood: 'moore', greenbergHastings: false },  // Cyclic spirals (R3/T5/C8/NM)
+  'greenberghastings': { family: 'cyclic', range: 1, threshold: 1, states: 3, neighborhood: 'vonNeumann', greenbergHastings: true }, // Greenberg-Hastings (R1/T1/C3/NN/GH)
+  'greenberghastings8': { family: 'cyclic', range: 1, threshold: 1, states: 8, neighborhood: 'vonNeumann', greenbergHastings: true }, // Greenberg-Hastings (R1/T1/C8/NN/GH)
+  // Larger than Life rules (see parseLtLRule)
+  'bugs': { family: 'ltl', range: 5, states: 2, middle: true, survivalRange: [34, 58], birthRange: [34, 45], neighborhood: 'moore' },   // Bugs (R5,C0,M1,S34..58,B34..45,NM)
+  'bosco': { family: 'ltl', range: 5, states: 2, middle: true, survivalRange: [33, 57], birthRange: [34, 45], neighborhood: 'moore' },  // Bosco's Rule (R5,C0,M1,S33..57,B34..45,NM)
+  'majority': { family: 'ltl', range: 4, states: 2, middle: true, survivalRange: [41, 81], birthRange: [41, 81], neighborhood: 'moore' } // Majority (R4,C0,M1,S41..81,B41..81,NM)
 };
 
-// Count all neighbors with value 1 (for standard 2D rules)
-const countLiveNeighbors = (grid, r, c) => {
+const MAX_STATES_2D = 256; // Generations rules: dead, live and up to 254 decay states
+
+// --- Neighborhoods for B/S and Generations rules ---
+// Offsets [dr, dc] of the cells counted as neighbors:
+//  - moore: the 8 surrounding cells
+//  - vonNeumann: the 4 orthogonal cells
+//  - hex: a hexagonal lattice emulated on the square grid (as in Golly): the Moore neighborhood without the
+//    top-right and bottom-left corners, which is what a hex grid looks like sheared into square cells
+//  - custom: any cells of a 5x5 or 7x7 mask drawn by the user
+const NEIGHBORHOOD_OFFSETS_2D = {
+  moore: [[-1, -1], [-1, 0], [-1, 1], [0, -1], [0, 1], [1, -1], [1, 0], [1, 1]],
+  vonNeumann: [[-1, 0], [0, -1], [0, 1], [1, 0]],
+  hex: [[-1, -1], [-1, 0], [0, -1], [0, 1], [1, 0], [1, 1]]
+};
+const NEIGHBORHOOD_TYPES_2D = ['moore', 'vonNeumann', 'hex', 'custom'];
+const CUSTOM_MASK_SIZES_2D = [5, 7];
+const MOORE_NEIGHBOR_COUNT = 8;
+
+// --- Hexagonal lattice ---
+// Hex rules ('H' suffix, as in Golly) run on a true hexagonal lattice, stored in the usual grid in "odd-r" offset
+// coordinates: odd rows sit half a cell to the right of even ones. A cell's six neighbors, listed around the
+// hexagon (E, NE, NW, W, SW, SE), depend on the parity of its row; wrapping needs an even number of rows.
+const HEX_NEIGHBOR_OFFSETS_2D = {
+  even: [[0, 1], [-1, 0], [-1, -1], [0, -1], [1, -1], [1, 0]],
+  odd: [[0, 1], [-1, 1], [-1, 0], [0, -1], [1, 0], [1, 1]]
+};
+const HEX_NEIGHBOR_COUNT = 6;
+
+// Isotropic hex rules split 2-4 live neighbors by how they sit around the hexagon (Golly's letters):
+// 2 neighbors are o (ortho, adjacent), m (meta, one cell apart) or p (para, opposite); 3 are o (in a row),
+// p (every other cell) or m (the rest); 4 are classed like the 2 dead cells among them
+const HEX_CLASS_LETTERS = { 2: 'omp', 3: 'omp', 4: 'omp' };
+
+const countBits = (config) => {
   let count = 0;
+  for (let bits = config; bits; bits >>= 1) count += bits & 1;
+  return count;
+};
+
+// Class letter of a hex configuration (bit i set when neighbor i is live), or '' for counts without classes
+const getHexConfigurationClass = (config) => {
+  const count = countBits(config);
+  const isLive = (i) => (config >> ((i + HEX_NEIGHBOR_COUNT) % HEX_NEIGHBOR_COUNT)) & 1;
+  if (count === 2 || count === 4) {
+    const cells = [0, 1, 2, 3, 4, 5].filter((i) => isLive(i) === (count === 2 ? 1 : 0));
+    const distance = Math.min(cells[1] - cells[0], HEX_NEIGHBOR_COUNT - (cells[1] - cells[0]));
+    return 'omp'[distance - 1];
+  }
+  if (count === 3) {
+    if ([0, 1, 2, 3, 4, 5].some((i) => isLive(i) && isLive(i + 1) && isLive(i + 2))) return 'o';
+    return config === 0b010101 || config === 0b101010 ? 'p' : 'm';
+  }
+  return '';
+};
+const HEX_CONFIGURATION_CLASSES = Array.from({ length: 2 ** HEX_NEIGHBOR_COUNT }, (_, config) => getHexConfigurationClass(config));
+
+// Configuration around a cell: bit i set when the neighbor at offsets[i] has value 1
+const getConfiguration = (grid, r, c, offsets) => {
   const numRows = grid.length;
   const numCols = grid[0].length;
+  let config = 0;
+  for (let i = 0; i < offsets.length; i++) {
+    if (grid[(r + offsets[i][0] + numRows) % numRows][(c + offsets[i][1] + numCols) % numCols] === 1) {
+      config |= 1 << i;
+    }
+  }
+  return config;
+};
+
+// --- Isotropic non-totalistic rules (Hensel notation) ---
+// Moore rules may split each neighbor count into its configurations up to rotation and reflection, 51 in all,
+// with the letters used by Golly and LifeWiki ('B2-a/S12'); 5-7 neighbors take the letter of their complement
+const MOORE_CLASS_LETTERS = {
+  1: 'ce', 2: 'cekain', 3: 'cekainyqjr', 4: 'cekainyqjrtwz', 5: 'cekainyqjr', 6: 'cekain', 7: 'ce'
+};
+// One configuration of each class of 1-4 neighbors, in letter order, as a 3x3 pattern: bit 0 top left,
+// read row by row (bit 4 is the cell itself). These are Golly's.
+const HENSEL_REPRESENTATIVES = {
+  1: [0x01, 0x02],
+  2: [0x05, 0x0a, 0x21, 0x03, 0x28, 0x44],
+  3: [0x45, 0x2a, 0x62, 0x0b, 0x07, 0x0d, 0x61, 0x46, 0x0e, 0x29],
+  4: [0x145, 0xaa, 0x63, 0x0f, 0x2d, 0x47, 0x65, 0x66, 0x6a, 0x2b, 0x69, 0x4e, 0x6c]
+};
+
+// Class letter of every Moore configuration (bit i set when neighbor NEIGHBORHOOD_OFFSETS_2D.moore[i] is live):
+// each representative's rotations and reflections take its letter
+const MOORE_CONFIGURATION_CLASSES = (() => {
+  const offsets = NEIGHBORHOOD_OFFSETS_2D.moore;
+  const toConfiguration = (pattern) => offsets.reduce((config, [dr, dc], i) => (
+    (pattern >> ((dr + 1) * 3 + dc + 1)) & 1 ? config | (1 << i) : config
+  ), 0);
+  const symmetries = [
+    ([dr, dc]) => [dr, dc], ([dr, dc]) => [dc, -dr], ([dr, dc]) => [-dr, -dc], ([dr, dc]) => [-dc, dr],
+    ([dr, dc]) => [dr, -dc], ([dr, dc]) => [-dc, -dr], ([dr, dc]) => [-dr, dc], ([dr, dc]) => [dc, dr]
+  ];
+  const transform = (config, symmetry) => offsets.reduce((result, offset, i) => {
+    if (!((config >> i) & 1)) return result;
+    const [dr, dc] = symmetry(offset);
+    return result | (1 << offsets.findIndex(([r, c]) => r === dr && c === dc));
+  }, 0);
+  const classes = Array(2 ** MOORE_NEIGHBOR_COUNT).fill('');
+  for (const [count, patterns] of Object.entries(HENSEL_REPRESENTATIVES)) {
+    patterns.forEach((pattern, index) => {
+      const letter = MOORE_CLASS_LETTERS[count][index];
+      const config = toConfiguration(pattern);
+      for (const symmetry of symmetries) {
+        const image = transform(config, symmetry);
+        classes[image] = letter;
+        // The complement, with 8 - count neighbors (4 neighbors have a letter of their own for each class)
+        if (Number(count) < 4) classes[image ^ 0xff] = letter;
+      }
+    });
+  }
+  return classes;
+})();
 
-  for (let i = -1; i <= 1; i++) {
-    for (let j = -1; j <= 1; j++) {
-      if (i === 0 && j === 0) continue; // Skip the cell itself
+// Whether a rule splits counts into classes on the Moore neighborhood (hex rules have their own classes)
+const isIsotropicRule2D = (rule) => Boolean(
+  rule && !rule.hex && rule.family !== 'ltl'
+  && (Object.keys(rule.birthClasses || {}).length > 0 || Object.keys(rule.survivalClasses || {}).length > 0)
+);
 
-      const nr = (r + i + numRows) % numRows; // Wrap around rows
-      const nc = (c + j + numCols) % numCols; // Wrap around columns
+// Offsets for a neighborhood { type, mask } (mask: the custom type's offsets); Moore when none is given
+const getNeighborhoodOffsets2D = (neighborhood) => {
+  if (!neighborhood) return NEIGHBORHOOD_OFFSETS_2D.moore;
+  if (neighborhood.type === 'custom') return neighborhood.mask || [];
+  return NEIGHBORHOOD_OFFSETS_2D[neighborhood.type] || NEIGHBORHOOD_OFFSETS_2D.moore;
+};
 
-      if (grid[nr][nc] === 1) {
-        count++;
+// A count group of a rule string -> { counts, classes }: `counts` are the sorted neighbor counts taken whole,
+// `classes` maps each count taken only in part to the letters of its taken classes ('2o' -> { 2: 'o' }, and
+// '2-o' for all but o). Counts are single digits ('36'), or comma-separated without letters ('3,10,12') for
+// neighborhoods of more than 9 cells. Null for a count above `maxCount` or a letter not in `classLetters`.
+const parseNeighborCounts = (text, maxCount, classLetters = {}) => {
+  const counts = new Set();
+  const classes = {};
+  if (text.includes(',')) {
+    for (const part of text.split(',').filter((part) => part !== '')) {
+      if (!/^\d+$/.test(part)) return null;
+      counts.add(Number(part));
+    }
+  } else {
+    const tokens = text.match(/\d-?[a-z]*/g) || [];
+    if (tokens.join('') !== text) return null;
+    for (const token of tokens) {
+      const count = Number(token[0]);
+      const isExcluded = token[1] === '-';
+      const letters = token.slice(isExcluded ? 2 : 1);
+      const allLetters = classLetters[count] || '';
+      if (letters === '') {
+        if (isExcluded) return null;
+        counts.add(count);
+      } else if ([...letters].every((letter) => allLetters.includes(letter))) {
+        const taken = isExcluded ? [...allLetters].filter((letter) => !letters.includes(letter)).join('') : letters;
+        classes[count] = (classes[count] || '') + taken;
+      } else {
+        return null;
       }
     }
   }
-  return count;
+  if ([...counts, ...Object.keys(classes).map(Number)].some((count) => count > maxCount)) return null;
+  // Canonical classes: in letter order, and a count with all its classes taken is taken whole
+  for (const count of Object.keys(classes).map(Number)) {
+    const letters = [...classLetters[count]].filter((letter) => classes[count].includes(letter)).join('');
+    if (letters === classLetters[count]) counts.add(count);
+    if (counts.has(count) || letters === '') delete classes[count];
+    else classes[count] = letters;
+  }
+  return { counts: [...counts].sort((a, b) => a - b), classes };
 };
 
-// Special function for Brian's Brain (3-state automaton)
-const calculateBriansBrain = (currentGrid) => {
-  const numRows = currentGrid.length;
-  const numCols = currentGrid[0].length;
-  const nextGrid = Array(numRows).fill(null).map(() => Array(numCols).fill(0));
+// Inverse of parseNeighborCounts; a count with more than half its classes taken is written with the ones left
+// out ('2-a' rather than '2cekin'), as Golly does
+const formatNeighborCounts = (counts, classes = {}, classLetters = {}) => {
+  const allCounts = [...counts, ...Object.keys(classes).map(Number)].sort((a, b) => a - b);
+  if (allCounts.some((count) => count > 9)) return allCounts.join(',');
+  return allCounts.map((count) => {
+    if (counts.includes(count)) return `${count}`;
+    const allLetters = classLetters[count] || '';
+    if (classes[count].length <= allLetters.length / 2) return `${count}${classes[count]}`;
+    return `${count}-${[...allLetters].filter((letter) => !classes[count].includes(letter)).join('')}`;
+  }).join('');
+};
+
+// { birth, survival, states, birthClasses, survivalClasses } from the count groups of a rule string (plus
+// hex: true for hex rules), or null for an invalid state count or count. `maxCount` is the size of the
+// neighborhood; hex rules always have 6 neighbors, and rules with Hensel letters the Moore neighborhood's 8.
+// Generations rules with B0 are rejected: unlike Life-like ones they have no background-preserving emulation.
+const buildRule = (birthText, survivalText, statesText, maxCount, hex) => {
+  const states = statesText === undefined ? 2 : Number(statesText);
+  const classLetters = hex ? HEX_CLASS_LETTERS : MOORE_CLASS_LETTERS;
+  const birth = parseNeighborCounts(birthText, Infinity, classLetters);
+  const survival = parseNeighborCounts(survivalText, Infinity, classLetters);
+  if (!birth || !survival) return null;
+  const hasClasses = Object.keys(birth.classes).length > 0 || Object.keys(survival.classes).length > 0;
+  const neighborCount = hex ? HEX_NEIGHBOR_COUNT : (hasClasses ? MOORE_NEIGHBOR_COUNT : maxCount);
+  if ([...birth.counts, ...survival.counts].some((count) => count > neighborCount)) return null;
+  if (states < 2 || states > MAX_STATES_2D || (states > 2 && birth.counts.includes(0))) return null;
+  return {
+    birth: birth.counts,
+    survival: survival.counts,
+    states,
+    birthClasses: birth.classes,
+    survivalClasses: survival.classes,
+    ...(hex && { hex: true })
+  };
+};
+
+// Parse a Life-like or Generations rule in any of the usual notations: 'B36/S23', 'B36S23', 'S23/B36', 'S23B36'
+// (spaces and the case of B, S, C and H ignored), the older survival/birth form '23/36', and for Generations a
+// state count after either, as in 'B2/S345/C4' (or G4) and '345/2/4'. Counts may carry Hensel letters
+// ('B2-a/S12', see MOORE_CLASS_LETTERS), which tie the rule to the Moore neighborhood. A final H makes it a hex
+// rule, whose counts 2-4 may carry hex class letters instead ('B2o/S2m34H', see HEX_CLASS_LETTERS). Returns the
+// rule (see buildRule) or null if invalid. Larger than Life rules ('R5,...') are handed to parseLtLRule, cyclic
+// rules ('R1/T3/C3/NM') to parseCyclicRule and turmites ('RL', '{{{1,2,0},{0,8,0}}}') to parseTurmiteRule2D;
+// 'WireWorld' is WireWorld.
+// `maxCount` is the size of the neighborhood the rule will run on; counts above it are invalid.
+const parseRule2D = (text, maxCount = MOORE_NEIGHBOR_COUNT) => {
+  const rule = String(text).replace(/\s+/g, '');
+  if (/^R\d+\/T/i.test(rule)) return parseCyclicRule(rule);
+  if (/^R\d/i.test(rule)) return parseLtLRule(rule);
+  if (/^wireworld$/i.test(rule)) return { ...RULE_DEFINITIONS.wireworld };
+  const turmite = parseTurmiteRule2D(rule);
+  if (turmite) return turmite;
+  // Count groups are matched lazily so a trailing C4 is read as the state count rather than a class letter
+  let match = rule.match(/^[Bb]([\d,a-z-]*?)\/?[Ss]([\d,a-z-]*?)(?:\/?[CcGg](\d+))?([Hh]?)$/);
+  if (match) return buildRule(match[1], match[2], match[3], maxCount, match[4] !== '');
+  match = rule.match(/^[Ss]([\d,a-z-]*?)\/?[Bb]([\d,a-z-]*?)(?:\/?[CcGg](\d+))?([Hh]?)$/);
+  if (match) return buildRule(match[2], match[1], match[3], maxCount, match[4] !== '');
+  match = rule.match(/^([\d,a-z-]*?)\/([\d,a-z-]*?)(?:\/(\d+))?([Hh]?)$/);
+  if (match) return buildRule(match[2], match[1], match[3], maxCount, match[4] !== '');
+  return null;
+};
+
+// Rule -> canonical 'B36/S23' notation, 'B2/S345/C4' for Generations rules and a final H for hex rules
+const ruleToString2D = (rule) => {
+  if (rule.family === 'ltl') return ltlRuleToString(rule);
+  if (rule.family === 'wireworld') return 'WireWorld';
+  if (rule.family === 'turmite') return turmiteRuleToString2D(rule);
+  if (rule.family === 'cyclic') return cyclicRuleToString(rule);
+  const { birth, survival, states = 2, birthClasses = {}, survivalClasses = {}, hex = false } = rule;
+  const classLetters = hex ? HEX_CLASS_LETTERS : MOORE_CLASS_LETTERS;
+  const birthText = formatNeighborCounts(birth, birthClasses, classLetters);
+  const survivalText = formatNeighborCounts(survival, survivalClasses, classLetters);
+  return `B${birthText}/S${survivalText}${states > 2 ? `/C${states}` : ''}${hex ? 'H' : ''}`;
+};
+
+// --- Larger than Life ---
+const MAX_LTL_RANGE = 10;
+
+// Cells within range R of a cell, not counting the cell itself: a (2R + 1) x (2R + 1) square for Moore,
+// a diamond |dx| + |dy| <= R for von Neumann
+const getLtLNeighborhoodSize = (range, neighborhood) => (
+  neighborhood === 'vonNeumann' ? 2 * range * (range + 1) : (2 * range + 1) ** 2 - 1
+);
+
+// Parse Larger than Life rules in Golly's notation 'R5,C0,M1,S34..58,B34..45,NM':
+//  - R: range 1-10
+//  - C: states (0 or 2 for plain two-state rules; more adds Generations-style decay states)
+//  - M: 1 if the cell counts itself among its neighbors
+//  - S, B: survival and birth intervals of the neighbor count
+//  - N: neighborhood shape, NM (Moore) or NN (von Neumann)
+// C, M and N may be left out (C0, M0, NM). Returns { family: 'ltl', ... } or null if invalid.
+const parseLtLRule = (text) => {
+  const rule = { family: 'ltl', states: 2, middle: false, neighborhood: 'moore' };
+  for (const token of String(text).replace(/\s+/g, '').toUpperCase().split(',')) {
+    let match;
+    if ((match = token.match(/^R(\d+)$/))) rule.range = Number(match[1]);
+    else if ((match = token.match(/^C(\d+)$/))) rule.states = Math.max(2, Number(match[1]));
+    else if ((match = token.match(/^M([01])$/))) rule.middle = match[1] === '1';
+    else if ((match = token.match(/^S(\d+)\.\.(\d+)$/))) rule.survivalRange = [Number(match[1]), Number(match[2])];
+    else if ((match = token.match(/^B(\d+)\.\.(\d+)$/))) rule.birthRange = [Number(match[1]), Number(match[2])];
+    else if ((match = token.match(/^N([MN])$/))) rule.neighborhood = match[1] === 'M' ? 'moore' : 'vonNeumann';
+    else return null;
+  }
+  if (!rule.range || rule.range > MAX_LTL_RANGE || !rule.survivalRange || !rule.birthRange || rule.states > MAX_STATES_2D) {
+    return null;
+  }
+  const maxCount = getLtLNeighborhoodSize(rule.range, rule.neighborhood) + (rule.middle ? 1 : 0);
+  const isValidInterval = ([min, max]) => min <= max && max <= maxCount;
+  return isValidInterval(rule.survivalRange) && isValidInterval(rule.birthRange) ? rule : null;
+};
+
+const ltlRuleToString = ({ range, states, middle, survivalRange, birthRange, neighborhood }) => (
+  `R${range},C${states > 2 ? states : 0},M${middle ? 1 : 0},S${survivalRange[0]}..${survivalRange[1]},` +
+  `B${birthRange[0]}..${birthRange[1]},N${neighborhood === 'vonNeumann' ? 'N' : 'M'}`
+);
+
+// Live (state 1) cells within range of every cell on the wrapped grid, as a flat Int32Array (row-major).
+// The grid is padded by R on each side with its wrapped-around cells, then
+//  - Moore: a summed-area table gives each square window in four lookups
+//  - von Neumann: per-row prefix sums give each of the diamond's 2R + 1 row segments in two lookups
+// so a step costs O(cells) or O(cells * R) however large the neighborhood.
+const countRangeNeighbors = (grid, range, neighborhood = 'moore', includeMiddle = false) => {
+  const numRows = grid.length;
+  const numCols = grid[0].length;
+  const paddedRows = numRows + 2 * range;
+  const paddedCols = numCols + 2 * range;
+  const stride = paddedCols + 1;
+  const isMoore = neighborhood !== 'vonNeumann';
+  // sums[(i + 1) * stride + (j + 1)]: padded cells (0..i, 0..j) for Moore, (i, 0..j) for von Neumann
+  const sums = new Int32Array((paddedRows + 1) * stride);
+  for (let i = 0; i < paddedRows; i++) {
+    const row = grid[(i - range + numRows * range) % numRows];
+    let rowSum = 0;
+    for (let j = 0; j < paddedCols; j++) {
+      if (row[(j - range + numCols * range) % numCols] === 1) rowSum++;
+      sums[(i + 1) * stride + j + 1] = rowSum + (isMoore ? sums[i * stride + j + 1] : 0);
+    }
+  }
 
+  const counts = new Int32Array(numRows * numCols);
   for (let r = 0; r < numRows; r++) {
     for (let c = 0; c < numCols; c++) {
-      const cellState = currentGrid[r][c];
-      
-      if (cellState === 0) {
-        // Empty cell
-        let onNeighbors = 0;
-        for (let i = -1; i <= 1; i++) {
-          for (let j = -1; j <= 1; j++) {
-            if (i === 0 && j === 0) continue;
-            const nr = (r + i + numRows) % numRows;
-            const nc = (c + j + numCols) % numCols;
-            if (currentGrid[nr][nc] === 1) {
-              onNeighbors++;
-            }
-          }
+      let count = 0;
+      if (isMoore) {
+        const top = r * stride;
+        const bottom = (r + 2 * range + 1) * stride;
+        count = sums[bottom + c + 2 * range + 1] - sums[top + c + 2 * range + 1] - sums[bottom + c] + sums[top + c];
+      } else {
+        for (let dy = -range; dy <= range; dy++) {
+          const halfWidth = range - Math.abs(dy);
+          const rowStart = (r + range + dy + 1) * stride;
+          count += sums[rowStart + c + range + halfWidth + 1] - sums[rowStart + c + range - halfWidth];
         }
-        // Empty cell becomes ON if exactly 2 ON neighbors
-        nextGrid[r][c] = (onNeighbors === 2) ? 1 : 0;
-      } else if (cellState === 1) {
-        // ON cell always becomes dying
-        nextGrid[r][c] = 2;
-      } else if (cellState === 2) {
-        // Dying cell always becomes empty
-        nextGrid[r][c] = 0;
       }
+      if (!includeMiddle && grid[r][c] === 1) count--;
+      counts[r * numCols + c] = count;
     }
   }
-  return nextGrid;
+  return counts;
+};
+
+// Rule for a preset name or a rule string, with its state count and classes filled in
+const getRuleDefinition2D = (ruleName, maxCount = MOORE_NEIGHBOR_COUNT) => {
+  const rule = RULE_DEFINITIONS[ruleName] || parseRule2D(ruleName, maxCount);
+  return rule && { states: 2, birthClasses: {}, survivalClasses: {}, ...rule };
+};
+
+// The rule (preset name or rule string) with any counts above `maxCount` dropped, so it fits a smaller
+// neighborhood; as it is if it already fits, or is a Hensel, hex, Larger than Life, cyclic, WireWorld or turmite
+// rule with a neighborhood of its own
+const restrictRuleToNeighborhood2D = (ruleName, maxCount) => {
+  const rule = getRuleDefinition2D(ruleName, Infinity);
+  if (!rule || rule.family || rule.hex || isIsotropicRule2D(rule)) return ruleName;
+  const fits = (count) => count <= maxCount;
+  if (rule.birth.every(fits) && rule.survival.every(fits)) return ruleName;
+  return ruleToString2D({ ...rule, birth: rule.birth.filter(fits), survival: rule.survival.filter(fits) });
+};
+
+// B0 rules turn every empty region on at once, so the whole background would flash every generation.
+// They are run the way Golly does, in a frame where the background stays empty:
+// With N neighbors (8 for Moore):
+//  - with S_N the background stays on once lit, so the grid is shown complemented throughout, which is the
+//    rule B{m : N - m not in S}/S{m : N - m not in B}
+//  - without S_N the background alternates, so every other generation is shown complemented: even generations
+//    step with B{n not in B}/S{n not in S} and odd ones with B{m : N - m in S}/S{m : N - m in B}
+// Neither emulation has B0 itself. Rules without B0 are returned as they are.
+const getEffectiveRule2D = ({ birth, survival }, generation = 0, N = MOORE_NEIGHBOR_COUNT) => {
+  if (!birth.includes(0)) return { birth, survival };
+  const NEIGHBOR_COUNTS = Array.from({ length: N + 1 }, (_, n) => n); // 0-N
+  if (survival.includes(N)) {
+    return {
+      birth: NEIGHBOR_COUNTS.filter((m) => !survival.includes(N - m)),
+      survival: NEIGHBOR_COUNTS.filter((m) => !birth.includes(N - m))
+    };
+  }
+  if (generation % 2 === 0) {
+    return {
+      birth: NEIGHBOR_COUNTS.filter((n) => !birth.includes(n)),
+      survival: NEIGHBOR_COUNTS.filter((n) => !survival.includes(n))
+    };
+  }
+  return {
+    birth: NEIGHBOR_COUNTS.filter((m) => survival.includes(N - m)),
+    survival: NEIGHBOR_COUNTS.filter((m) => birth.includes(N - m))
+  };
+};
+
+// Birth or survival lookup table over the configurations of rules with class letters (bit i of a configuration
+// set when neighbor i is live): 1 where the configuration's count is taken whole, or its class is taken
+const buildConfigurationTable = (counts, classes, configurationClasses) => Uint8Array.from(configurationClasses, (letter, config) => {
+  const count = countBits(config);
+  return counts.includes(count) || (letter !== '' && (classes[count] || '').includes(letter)) ? 1 : 0;
+});
+
+// getEffectiveRule2D for configuration tables: complementing the grid complements each configuration, so the
+// same three cases apply with configuration full ^ c in place of count N - m
+const getEffectiveTables2D = (birthTable, survivalTable, generation = 0) => {
+  if (!birthTable[0]) return { birthTable, survivalTable };
+  const full = birthTable.length - 1;
+  const tableOf = (isOn) => Uint8Array.from(birthTable, (_, config) => (isOn(config) ? 1 : 0));
+  if (survivalTable[full]) {
+    return {
+      birthTable: tableOf((c) => !survivalTable[full ^ c]),
+      survivalTable: tableOf((c) => !birthTable[full ^ c])
+    };
+  }
+  if (generation % 2 === 0) {
+    return {
+      birthTable: tableOf((c) => !birthTable[c]),
+      survivalTable: tableOf((c) => !survivalTable[c])
+    };
+  }
+  return {
+    birthTable: tableOf((c) => survivalTable[full ^ c]),
+    survivalTable: tableOf((c) => birthTable[full ^ c])
+  };
 };
 
-const calculateNextGeneration2D = (currentGrid, ruleName = 'conway') => {
+// Count all neighbors with value 1 (for standard 2D rules), at the given offsets (Moore by default)
+const countLiveNeighbors = (grid, r, c, offsets = NEIGHBORHOOD_OFFSETS_2D.moore) => {
+  let count = 0;
+  const numRows = grid.length;
+  const numCols = grid[0].length;
+
+  for (const [i, j] of offsets) {
+    const nr = (r + i + numRows) % numRows; // Wrap around rows
+    const nc = (c + j + numCols) % numCols; // Wrap around columns
+
+    if (grid[nr][nc] === 1) {
+      count++;
+    }
+  }
+  return count;
+};
+
+// --- WireWorld ---
+// Cell states; heads are 1 so countLiveNeighbors counts them
+const WIREWORLD_STATES = { EMPTY: 0, HEAD: 1, TAIL: 2, CONDUCTOR: 3 };
+
+// Electron heads become tails, tails become conductor again, and conductor becomes a head next to exactly
+// 1 or 2 heads (Moore neighborhood), so electrons run along wires in the direction they were sent
+const calculateWireWorld = (currentGrid) => currentGrid.map((row, r) => row.map((cellState, c) => {
+  switch (cellState) {
+    case WIREWORLD_STATES.HEAD:
+      return WIREWORLD_STATES.TAIL;
+    case WIREWORLD_STATES.TAIL:
+      return WIREWORLD_STATES.CONDUCTOR;
+    case WIREWORLD_STATES.CONDUCTOR: {
+      const heads = countLiveNeighbors(currentGrid, r, c);
+      return heads === 1 || heads === 2 ? WIREWORLD_STATES.HEAD : WIREWORLD_STATES.CONDUCTOR;
+    }
+    default:
+      return WIREWORLD_STATES.EMPTY;
+  }
+}));
+
+// --- Cyclic CA and Greenberg-Hastings ---
+const MAX_CYCLIC_STATES = 64;
+
+// Parse cyclic rules in MCell's notation 'R1/T3/C3/NM', with a final '/GH' for Greenberg-Hastings:
+//  - R: range 1-10
+//  - T: threshold, the neighbors needed to advance (1 up to the size of the neighborhood)
+//  - C: states, 2-64 (at least 3 for Greenberg-Hastings, which needs a refractory state)
+//  - N: neighborhood shape, NM (Moore) or NN (von Neumann)
+// Returns { family: 'cyclic', ... } or null if invalid.
+const parseCyclicRule = (text) => {
+  const match = String(text).replace(/\s+/g, '').toUpperCase().match(/^R(\d+)\/T(\d+)\/C(\d+)\/N([MN])(\/GH)?$/);
+  if (!match) return null;
+  const rule = {
+    family: 'cyclic',
+    range: Number(match[1]),
+    threshold: Number(match[2]),
+    states: Number(match[3]),
+    neighborhood: match[4] === 'M' ? 'moore' : 'vonNeumann',
+    greenbergHastings: Boolean(match[5])
+  };
+  const isValid = rule.range >= 1 && rule.range <= MAX_LTL_RANGE
+    && rule.threshold >= 1 && rule.threshold <= getLtLNeighborhoodSize(rule.range, rule.neighborhood)
+    && rule.states >= (rule.greenbergHastings ? 3 : 2) && rule.states <= MAX_CYCLIC_STATES;
+  return isValid ? rule : null;
+};
+
+const cyclicRuleToString = ({ range, threshold, states, neighborhood, greenbergHastings }) => (
+  `R${range}/T${threshold}/C${states}/N${neighborhood === 'vonNeumann' ? 'N' : 'M'}${greenbergHastings ? '/GH' : ''}`
+);
+
+// Cyclic CA: a cell in state k moves on to k + 1 (wrapping to 0 after the last state) when at least `threshold`
+// cells within range are in state k + 1 already, so each state eats the one before it and random soups organize
+// into spiral waves. Greenberg-Hastings (an excitable medium): state 0 is resting, 1 excited and the rest
+// refractory; a resting cell gets excited by at least `threshold` excited cells within range, and every other state
+// moves on by itself, so excitation travels as waves that can't turn back into the refractory cells behind them.
+const calculateCyclic = (currentGrid, rule) => {
+  const { range, threshold, states, neighborhood, greenbergHastings } = rule;
+  const numCols = currentGrid[0].length;
+  if (greenbergHastings) {
+    const excited = countRangeNeighbors(currentGrid, range, neighborhood);
+    return currentGrid.map((row, r) => row.map((cellState, c) => {
+      if (cellState !== 0) return (cellState + 1) % states;
+      return excited[r * numCols + c] >= threshold ? 1 : 0;
+    }));
+  }
+  // Neighbors in each state, counted as the live cells of a grid marking that state (the cell itself is never in
+  // the state it counts, so it may count itself)
+  const stateCounts = Array.from({ length: states }, (_, state) => countRangeNeighbors(
+    currentGrid.map((row) => row.map((cellState) => (cellState === state ? 1 : 0))), range, neighborhood, true
+  ));
+  return currentGrid.map((row, r) => row.map((cellState, c) => {
+    const nextState = (cellState + 1) % states;
+    return stateCounts[nextState][r * numCols + c] >= threshold ? nextState : cellState;
+  }));
+};
+
+// ruleName is a preset key of RULE_DEFINITIONS or a rule string (see parseRule2D). `generation` is the number
+// of the current grid, which B0 rules need to know which of their two alternating steps to take.
+// `neighborhood` ({ type, mask }, see getNeighborhoodOffsets2D) is the one B/S counts refer to; Larger than
+// Life rules bring their own.
+const calculateNextGeneration2D = (currentGrid, ruleName = 'conway', generation = 0, neighborhood = null) => {
   if (!currentGrid || currentGrid.length === 0 || !currentGrid[0] || currentGrid[0].length === 0) {
     console.warn("[automataLogic2D] Invalid or empty grid provided.");
     return []; // Or return currentGrid if preferred for empty inputs
   }
 
-  // Handle special rule types
-  if (ruleName === 'briansbrain') {
-    return calculateBriansBrain(currentGrid);
+  const offsets = getNeighborhoodOffsets2D(neighborhood);
+  let rule = getRuleDefinition2D(ruleName, offsets.length);
+  if (!rule) {
+    console.error(`[automataLogic2D] Invalid rule: ${ruleName}, using Conway's Game of Life`);
+    rule = getRuleDefinition2D('conway');
   }
-
-  // Standard B/S rules
-  const rule = RULE_DEFINITIONS[ruleName] || RULE_DEFINITIONS.conway;
-  const { birth, survival } = rule;
+  if (rule.family === 'wireworld') return calculateWireWorld(currentGrid);
+  if (rule.family === 'cyclic') return calculateCyclic(currentGrid, rule);
+  if (rule.family === 'turmite') {
+    console.error('[automataLogic2D] Turmite rules move ants, which the grid alone does not hold: use stepTurmites2D');
+    return currentGrid;
+  }
+  const { states } = rule;
+  const isIsotropic = isIsotropicRule2D(rule);
+  let isBirth;
+  let isSurvival;
+  let rangeCounts = null;
+  if (rule.family === 'ltl') {
+    // No B0 emulation here: an LtL rule with a birth interval from 0 runs as it is
+    rangeCounts = countRangeNeighbors(currentGrid, rule.range, rule.neighborhood, rule.middle);
+    isBirth = (count) => count >= rule.birthRange[0] && count <= rule.birthRange[1];
+    isSurvival = (count) => count >= rule.survivalRange[0] && count <= rule.survivalRange[1];
+  } else if (rule.hex || isIsotropic) {
+    // Hex and Hensel rules look up the whole configuration of the neighbors, so class letters work too
+    const configurationClasses = rule.hex ? HEX_CONFIGURATION_CLASSES : MOORE_CONFIGURATION_CLASSES;
+    const { birthTable, survivalTable } = getEffectiveTables2D(
+      buildConfigurationTable(rule.birth, rule.birthClasses, configurationClasses),
+      buildConfigurationTable(rule.survival, rule.survivalClasses, configurationClasses),
+      generation
+    );
+    isBirth = (config) => birthTable[config] === 1;
+    isSurvival = (config) => survivalTable[config] === 1;
+  } else {
+    const { birth, survival } = getEffectiveRule2D(rule, generation, offsets.length);
+    isBirth = (count) => birth.includes(count);
+    isSurvival = (count) => survival.includes(count);
+  }
+  // The neighbor count, or for hex rules the neighbor configuration, that isBirth and isSurvival take
+  let countNeighbors = (r, c) => countLiveNeighbors(currentGrid, r, c, offsets);
+  if (rangeCounts) countNeighbors = (r, c) => rangeCounts[r * currentGrid[0].length + c];
+  else if (rule.hex) countNeighbors = (r, c) => getConfiguration(currentGrid, r, c, HEX_NEIGHBOR_OFFSETS_2D[r % 2 === 0 ? 'even' : 'odd']);
+  else if (isIsotropic) countNeighbors = (r, c) => getConfiguration(currentGrid, r, c, NEIGHBORHOOD_OFFSETS_2D.moore);
 
   const numRows = currentGrid.length;
   const numCols = currentGrid[0].length;
@@ -92,19 +605,48 @@ const calculateNextGeneration2D = (currentGrid, ruleName = 'conway') => {
 
   for (let r = 0; r < numRows; r++) {
     for (let c = 0; c < numCols; c++) {
-      const liveNeighbors = countLiveNeighbors(currentGrid, r, c);
-      const cellIsAlive = currentGrid[r][c] === 1;
+      const cellState = currentGrid[r][c];
 
-      if (cellIsAlive) {
-        // Check survival conditions
-        nextGrid[r][c] = survival.includes(liveNeighbors) ? 1 : 0;
-      } else {
+      if (cellState === 1) {
+        // Check survival conditions; a live cell that fails them starts decaying (or dies, with 2 states)
+        nextGrid[r][c] = isSurvival(countNeighbors(r, c)) ? 1 : (states > 2 ? 2 : 0);
+      } else if (cellState === 0) {
         // Check birth conditions
-        nextGrid[r][c] = birth.includes(liveNeighbors) ? 1 : 0;
+        nextGrid[r][c] = isBirth(countNeighbors(r, c)) ? 1 : 0;
+      } else {
+        // Decaying cells move on one state each generation, the last one back to dead (as do leftover decay
+        // states after switching to a rule with fewer states)
+        nextGrid[r][c] = cellState + 1 < states ? cellState + 1 : 0;
       }
     }
   }
   return nextGrid;
 };
 
-export { calculateNextGeneration2D, countLiveNeighbors }; // Exporting countLiveNeighbors can be useful for other rules later
+export {
+  calculateNextGeneration2D,
+  countLiveNeighbors, // Can be useful for other rules later
+  parseRule2D,
+  ruleToString2D,
+  getRuleDefinition2D,
+  getEffectiveRule2D,
+  countRangeNeighbors,
+  getLtLNeighborhoodSize,
+  getNeighborhoodOffsets2D,
+  restrictRuleToNeighborhood2D,
+  getHexConfigurationClass,
+  isIsotropicRule2D,
+  RULE_DEFINITIONS,
+  WIREWORLD_STATES,
+  NEIGHBORHOOD_OFFSETS_2D,
+  NEIGHBORHOOD_TYPES_2D,
+  HEX_NEIGHBOR_OFFSETS_2D,
+  HEX_CLASS_LETTERS,
+  MOORE_CLASS_LETTERS,
+  MOORE_CONFIGURATION_CLASSES,
+  HEX_NEIGHBOR_COUNT,
+  CUSTOM_MASK_SIZES_2D,
+  MAX_STATES_2D,
+  MAX_LTL_RANGE,
+  MAX_CYCLIC_STATES
+};
@@ -0,0 +1,91 @@
+// automataStats1D.js - Per-generation statistics of a 1D run
+
+const MAX_BLOCK_SIZE_1D = 4; // Block entropies are measured for blocks of 1 to 4 cells
+
+// Shannon entropy (bits) of the length-`blockSize` blocks of a row, read cyclically
+const getBlockEntropy = (row, blockSize, states = 2) => {
+  const len = row.length;
+  const counts = new Uint32Array(states ** blockSize);
+  for (let i = 0; i < len; i++) {
+    let code = 0;
+    for (let j = 0; j < blockSize; j++) {
+      code = code * states + row[(i + j) % len];
+    }
+    counts[code]++;
+  }
+  let entropy = 0;
+  counts.forEach((count) => {
+    if (count > 0) {
+      const p = count / len;
+      entropy -= p * Math.log2(p);
+    }
+  });
+  return entropy;
+};
+
+// Rows are never mutated once in the history, so their statistics are computed once and cached.
+// A row's change fraction is cached with it too: a row only ever follows the row it was computed from.
+const rowStatsCache = new WeakMap();
+const changedFractionCache = new WeakMap();
+
+// Density (fraction of non-zero cells) and block entropies H_1 ... H_MAX_BLOCK_SIZE_1D of one row
+const getRowStats = (row, states = 2) => {
+  if (!rowStatsCache.has(row)) {
+    let live = 0;
+    for (let i = 0; i < row.length; i++) {
+      if (row[i] !== 0) live++;
+    }
+    const entropies = [];
+    for (let blockSize = 1; blockSize <= MAX_BLOCK_SIZE_1D; blockSize++) {
+      entropies.push(getBlockEntropy(row, blockSize, states));
+    }
+    rowStatsCache.set(row, { density: live / row.length, entropies });
+  }
+  return rowStatsCache.get(row);
+};
+
+// Fraction of cells whose state differs from the previous row
+const getChangedFraction = (row, previousRow) => {
+  if (!changedFractionCache.has(row)) {
+    let changed = 0;
+    for (let i = 0; i < row.length; i++) {
+      if (row[i] !== previousRow[i]) changed++;
+    }
+    changedFractionCache.set(row, changed / row.length);
+  }
+  return changedFractionCache.get(row);
+};
+
+// Statistics for history rows [fromIndex, rows.length): one { generation, density, entropies, changed }
+// per row. `changed` is null for the first row, which has no predecessor in the history.
+const getStatsSeries = (rows, firstGeneration, states = 2, fromIndex = 0) => {
+  const series = [];
+  for (let index = Math.max(0, fromIndex); index < rows.length; index++) {
+    const row = rows[index];
+    const previousRow = rows[index - 1];
+    series.push({
+      generation: firstGeneration + index,
+      ...getRowStats(row, states),
+      changed: previousRow && previousRow.length === row.length ? getChangedFraction(row, previousRow) : null
+    });
+  }
+  return series;
+};
+
+// CSV with one line per generation: generation, density, H1..H4 (bits), changed fraction
+const statsToCsv = (series) => {
+  const header = ['generation', 'density', ...Array.from({ length: MAX_BLOCK_SIZE_1D }, (_, i) => `H${i + 1}`), 'changed'];
+  const lines = series.map(({ generation, density, entropies, changed }) => (
+    [generation, density, ...entropies, changed ?? ''].join(',')
+  ));
+  return [header.join(','), ...lines].join('\n') + '\n';
+};
+
+export {
+  getBlockEntropy,
+  getRowStats,
+  getChangedFraction,
+  getStatsSeries,
+  statsToCsv,
+  MAX_BLOCK_SIZE_1D
+};
@@ -1,37 +1,450 @@
 // Content for components/Automaton1DView.jsx
-import React, { useRef, useEffect } from 'react';
+import React, { useRef, useEffect, useLayoutEffect, useState, useCallback } from 'react';
 import styles from './Automaton1DView.module.css';
 
-const Automaton1DView = ({ generationsHistory, onCellClick }) => {
+// One color per cell state (k <= 4)
+const STATE_COLORS = ['#fff', '#333', '#d9534f', '#0275d8'];
+const BACKGROUND_COLOR = '#f8f9fa';
+const GRID_LINE_COLOR = '#eee';
+const GHOST_OPACITY = 0.3; // How strongly the ghosted original continuation of a branched run shows through
+const BRANCH_LINE_COLOR = '#f0ad4e';
+// Particles (domain-filtered defects) are colored by their id; the filtered-out domain is drawn faded
+const PARTICLE_COLORS = ['#e6194b', '#3cb44b', '#4363d8', '#f58231', '#911eb4', '#42d4f4', '#f032e6', '#9a6324'];
+const PARTICLE_EMPTY_OPACITY = 0.35; // State-0 cells inside a particle get a light tint of its color
+const DOMAIN_OPACITY = 0.25;
+const PARTICLE_LABEL_COLOR = '#222';
+const COLLISION_MARK_COLOR = '#d9534f';
+// Colormaps for continuous-valued rows (coupled map lattices): evenly spaced anchor colors from 0 to 1
+const COLORMAPS = {
+  grayscale: ['#000000', '#ffffff'],
+  viridis: ['#440154', '#3b528b', '#21918c', '#5ec962', '#fde725']
+};
+const COLORMAP_STEPS = 256;
+
+const MIN_CELL_SIZE = 0.1; // px per cell when zoomed all the way out
+const MAX_CELL_SIZE = 40;
+const DEFAULT_CELL_SIZE = 15;
+const ZOOM_STEP = 1.25;
+const GRID_LINE_MIN_CELL_SIZE = 6; // Only draw cell borders once cells are big enough to see them
+const DRAG_THRESHOLD_PX = 3; // Movement below this counts as a click rather than a pan
+
+// '#rrggbb' / '#rgb' -> [r, g, b]
+const parseHexColor = (hex) => {
+  const value = hex.length === 4
+    ? hex.slice(1).split('').map((ch) => ch + ch).join('')
+    : hex.slice(1);
+  return [0, 2, 4].map((i) => parseInt(value.slice(i, i + 2), 16));
+};
+
+// Pack a color as a 32-bit ABGR pixel for writing straight into ImageData (little-endian)
+const hexToPixel = (hex) => {
+  const [r, g, b] = parseHexColor(hex);
+  return ((255 << 24) | (b << 16) | (g << 8) | r) >>> 0;
+};
+
+const channelsToHex = (channels) => '#' + channels.map((c) => Math.round(c).toString(16).padStart(2, '0')).join('');
+
+// Blend a color towards white, leaving `opacity` of the original
+const fadeColor = (hex, opacity) => channelsToHex(parseHexColor(hex).map((c) => 255 - (255 - c) * opacity));
+
+// Pixel lookup table for a colormap, optionally faded like the ghost run
+const buildColormapPixels = (anchors, opacity = 1) => Array.from({ length: COLORMAP_STEPS }, (_, step) => {
+  const position = (step / (COLORMAP_STEPS - 1)) * (anchors.length - 1);
+  const lower = Math.min(Math.floor(position), anchors.length - 2);
+  const fraction = position - lower;
+  const [from, to] = [parseHexColor(anchors[lower]), parseHexColor(anchors[lower + 1])];
+  const color = channelsToHex(from.map((c, i) => c + (to[i] - c) * fraction));
+  return hexToPixel(opacity < 1 ? fadeColor(color, opacity) : color);
+});
+
+const STATE_PIXELS = STATE_COLORS.map(hexToPixel);
+const GHOST_PIXELS = STATE_COLORS.map((color) => hexToPixel(fadeColor(color, GHOST_OPACITY)));
+const DOMAIN_PIXELS = STATE_COLORS.map((color) => hexToPixel(fadeColor(color, DOMAIN_OPACITY)));
+const PARTICLE_PIXELS = PARTICLE_COLORS.map(hexToPixel);
+const PARTICLE_EMPTY_PIXELS = PARTICLE_COLORS.map((color) => hexToPixel(fadeColor(color, PARTICLE_EMPTY_OPACITY)));
+const BACKGROUND_PIXEL = hexToPixel(BACKGROUND_COLOR);
+const COLORMAP_PIXELS = Object.fromEntries(Object.entries(COLORMAPS).map(([name, anchors]) => (
+  [name, { cell: buildColormapPixels(anchors), ghost: buildColormapPixels(anchors, GHOST_OPACITY) }]
+)));
+
+const valueToColormapIndex = (value) => Math.min(COLORMAP_STEPS - 1, Math.max(0, Math.floor(value * COLORMAP_STEPS)));
+
+const clampCellSize = (size) => Math.max(MIN_CELL_SIZE, Math.min(MAX_CELL_SIZE, size));
+
+// Spacetime diagram drawn on a canvas. Only the visible window of the history is rasterized, so
+// thousands of columns and tens of thousands of generations stay responsive. The canvas sits
+// sticky inside a scroll area sized to the whole diagram, which gives native scrollbars for panning
+// and scroll-back; drag to pan, Ctrl/Cmd + wheel (or the buttons) to zoom, click to edit a cell.
+// An optional `ghost` ({ startGeneration, rows }) is drawn faded underneath (and past the end of) the
+// history, to compare a branched run against the continuation it replaced. An optional `damage` run (same
+// shape) is a perturbed copy: cells where it differs from the history are painted in `damageColor`.
+// An optional `particles` overlay ({ startGeneration, ids, labels, collisions }) gives a particle id per
+// cell (-1 in the domain) for history rows: the domain is faded out, particles are colored and labeled
+// where they first appear, and collisions are circled. With a `colormap` (see COLORMAPS) rows hold
+// continuous values in [0, 1] instead of states.
+const Automaton1DView = ({
+  generationsHistory,
+  onCellClick,
+  firstGeneration = 0, // Generation number of generationsHistory[0] (older rows may have been trimmed)
+  ghost = null,
+  damage = null,
+  damageColor = '#fd7e14',
+  particles = null,
+  colormap = null,
+  width = 800,
+  height = 500
+}) => {
   const scrollRef = useRef(null);
+  const canvasRef = useRef(null);
+  const followLatestRef = useRef(true);
+  const pendingScrollRef = useRef(null);
+  const dragRef = useRef(null);
+  const [cellSize, setCellSize] = useState(DEFAULT_CELL_SIZE);
+  const [followLatest, setFollowLatest] = useState(true);
+  const [hoverInfo, setHoverInfo] = useState(null);
+
+  const numHistoryRows = generationsHistory ? generationsHistory.length : 0;
+  const numCols = numHistoryRows > 0 ? generationsHistory[0].length : 0;
+  const ghostEndRow = ghost ? ghost.startGeneration + ghost.rows.length - firstGeneration : 0;
+  const numRows = Math.max(numHistoryRows, ghostEndRow);
+
+  // Row of the ghost run at a display row, if it has one (and the same width as the current run)
+  const getGhostRow = useCallback((row) => {
+    if (!ghost) return null;
+    const ghostRow = ghost.rows[firstGeneration + row - ghost.startGeneration];
+    return ghostRow && ghostRow.length === numCols ? ghostRow : null;
+  }, [ghost, firstGeneration, numCols]);
+
+  const getParticleRow = useCallback((row) => {
+    if (!particles) return null;
+    const idRow = particles.ids[firstGeneration + row - particles.startGeneration];
+    return idRow && idRow.length === numCols ? idRow : null;
+  }, [particles, firstGeneration, numCols]);
+
+  const getDamageRow = useCallback((row) => {
+    if (!damage) return null;
+    const damageRow = damage.rows[firstGeneration + row - damage.startGeneration];
+    return damageRow && damageRow.length === numCols ? damageRow : null;
+  }, [damage, firstGeneration, numCols]);
+
+  const getFitCellSize = useCallback(() => {
+    const viewportWidth = scrollRef.current ? scrollRef.current.clientWidth : width;
+    return clampCellSize(Math.min(DEFAULT_CELL_SIZE, viewportWidth / Math.max(1, numCols)));
+  }, [numCols, width]);
+
+  // Fit the whole row into view whenever the lattice width changes
+  useLayoutEffect(() => {
+    setCellSize(getFitCellSize());
+  }, [getFitCellSize]);
+
+  const drawDiagram = useCallback(() => {
+    const canvas = canvasRef.current;
+    const scroller = scrollRef.current;
+    if (!canvas || !scroller) return;
+
+    const viewWidth = scroller.clientWidth;
+    const viewHeight = scroller.clientHeight;
+    if (viewWidth === 0 || viewHeight === 0) return;
+    if (canvas.width !== viewWidth) canvas.width = viewWidth;
+    if (canvas.height !== viewHeight) canvas.height = viewHeight;
+
+    const ctx = canvas.getContext('2d');
+    const image = ctx.createImageData(viewWidth, viewHeight);
+    const pixels = new Uint32Array(image.data.buffer);
+    const { scrollLeft, scrollTop } = scroller;
+    const damagePixel = hexToPixel(damageColor);
+    const colormapPixels = colormap ? COLORMAP_PIXELS[colormap] : null;
+    const cellPixel = colormapPixels ? (value) => colormapPixels.cell[valueToColormapIndex(value)] : (state) => STATE_PIXELS[state];
+    const ghostPixel = colormapPixels ? (value) => colormapPixels.ghost[valueToColormapIndex(value)] : (state) => GHOST_PIXELS[state];
+
+    // Column lookup is the same for every pixel row, so compute it once
+    const colForPixel = new Int32Array(viewWidth);
+    for (let px = 0; px < viewWidth; px++) {
+      const col = Math.floor((scrollLeft + px) / cellSize);
+      colForPixel[px] = col < numCols ? col : -1;
+    }
 
+    for (let py = 0; py < viewHeight; py++) {
+      const row = Math.floor((scrollTop + py) / cellSize);
+      const rowOffset = py * viewWidth;
+      if (row >= numRows) {
+        pixels.fill(BACKGROUND_PIXEL, rowOffset, rowOffset + viewWidth);
+        continue;
+      }
+      const rowData = row < numHistoryRows ? generationsHistory[row] : null;
+      const ghostData = getGhostRow(row);
+      const damageData = rowData && getDamageRow(row);
+      const particleData = rowData && getParticleRow(row);
+      for (let px = 0; px < viewWidth; px++) {
+        const col = colForPixel[px];
+        if (col < 0) {
+          pixels[rowOffset + px] = BACKGROUND_PIXEL;
+        } else if (damageData && damageData[col] !== rowData[col]) {
+          pixels[rowOffset + px] = damagePixel;
+        } else if (particleData) {
+          const id = particleData[col];
+          if (id < 0) {
+            pixels[rowOffset + px] = DOMAIN_PIXELS[rowData[col]];
+          } else {
+            const colorIndex = id % PARTICLE_PIXELS.length;
+            pixels[rowOffset + px] = rowData[col] !== 0 ? PARTICLE_PIXELS[colorIndex] : PARTICLE_EMPTY_PIXELS[colorIndex];
+          }
+        } else if (rowData && (colormapPixels || rowData[col] !== 0 || !ghostData)) {
+          pixels[rowOffset + px] = cellPixel(rowData[col]);
+        } else {
+          // Empty cell of the current run (or past its end): let the ghost run show through
+          pixels[rowOffset + px] = ghostData ? ghostPixel(ghostData[col]) : BACKGROUND_PIXEL;
+        }
+      }
+    }
+    ctx.putImageData(image, 0, 0);
+
+    if (cellSize >= GRID_LINE_MIN_CELL_SIZE) {
+      ctx.strokeStyle = GRID_LINE_COLOR;
+      ctx.lineWidth = 1;
+      ctx.beginPath();
+      const gridWidth = Math.min(viewWidth, numCols * cellSize - scrollLeft);
+      const gridHeight = Math.min(viewHeight, numRows * cellSize - scrollTop);
+      for (let col = Math.ceil(scrollLeft / cellSize); col * cellSize - scrollLeft <= gridWidth; col++) {
+        const x = Math.round(col * cellSize - scrollLeft) + 0.5;
+        ctx.moveTo(x, 0);
+        ctx.lineTo(x, gridHeight);
+      }
+      for (let row = Math.ceil(scrollTop / cellSize); row * cellSize - scrollTop <= gridHeight; row++) {
+        const y = Math.round(row * cellSize - scrollTop) + 0.5;
+        ctx.moveTo(0, y);
+        ctx.lineTo(gridWidth, y);
+      }
+      ctx.stroke();
+    }
+
+    if (particles) {
+      const isVisible = (x, y) => x >= -20 && x <= viewWidth + 20 && y >= -10 && y <= viewHeight + 10;
+      const toCanvas = (generation, cell) => ({
+        x: (cell + 0.5) * cellSize - scrollLeft,
+        y: (generation - firstGeneration + 0.5) * cellSize - scrollTop
+      });
+      ctx.strokeStyle = COLLISION_MARK_COLOR;
+      particles.collisions.forEach(({ generation, cell }) => {
+        const { x, y } = toCanvas(generation, cell);
+        if (!isVisible(x, y)) return;
+        ctx.beginPath();
+        ctx.arc(x, y, Math.max(4, cellSize), 0, 2 * Math.PI);
+        ctx.stroke();
+      });
+      ctx.font = '11px sans-serif';
+      ctx.textAlign = 'center';
+      ctx.lineWidth = 3;
+      ctx.strokeStyle = 'white';
+      ctx.fillStyle = PARTICLE_LABEL_COLOR;
+      particles.labels.forEach(({ generation, cell, text }) => {
+        const { x, y } = toCanvas(generation, cell);
+        if (!isVisible(x, y)) return;
+        ctx.strokeText(text, x, y);
+        ctx.fillText(text, x, y);
+      });
+      ctx.lineWidth = 1;
+    }
+
+    if (ghost) {
+      // Mark where the current run branched off the ghosted one
+      const y = Math.round((ghost.startGeneration - firstGeneration) * cellSize - scrollTop) + 0.5;
+      if (y >= 0 && y <= viewHeight) {
+        ctx.strokeStyle = BRANCH_LINE_COLOR;
+        ctx.setLineDash([4, 3]);
+        ctx.beginPath();
+        ctx.moveTo(0, y);
+        ctx.lineTo(Math.min(viewWidth, numCols * cellSize - scrollLeft), y);
+        ctx.stroke();
+        ctx.setLineDash([]);
+      }
+    }
+  }, [generationsHistory, cellSize, numRows, numCols, numHistoryRows, getGhostRow, getDamageRow, getParticleRow, damageColor, particles, colormap, ghost, firstGeneration]);
+
+  // Apply scroll changes (zoom anchoring, following the newest row) once the content has its new size
+  useLayoutEffect(() => {
+    const scroller = scrollRef.current;
+    if (!scroller) return;
+    if (pendingScrollRef.current) {
+      scroller.scrollLeft = pendingScrollRef.current.left;
+      scroller.scrollTop = pendingScrollRef.current.top;
+      pendingScrollRef.current = null;
+    } else if (followLatestRef.current) {
+      scroller.scrollTop = scroller.scrollHeight;
+    }
+    drawDiagram();
+  }, [drawDiagram]);
+
+  useEffect(() => {
+    window.addEventListener('resize', drawDiagram);
+    return () => window.removeEventListener('resize', drawDiagram);
+  }, [drawDiagram]);
+
+  const handleScroll = useCallback(() => {
+    const scroller = scrollRef.current;
+    if (!scroller) return;
+    // Keep following new generations only while the view is parked at the bottom
+    const atBottom = scroller.scrollTop + scroller.clientHeight >= scroller.scrollHeight - Math.max(1, cellSize);
+    followLatestRef.current = atBottom;
+    setFollowLatest(atBottom);
+    drawDiagram();
+  }, [drawDiagram, cellSize]);
+
+  // Zoom keeping the cell under (anchorX, anchorY) in place; defaults to the viewport center
+  const zoomTo = useCallback((newCellSize, anchorX, anchorY) => {
+    const scroller = scrollRef.current;
+    if (!scroller) return;
+    const size = clampCellSize(newCellSize);
+    const x = anchorX ?? scroller.clientWidth / 2;
+    const y = anchorY ?? scroller.clientHeight / 2;
+    const anchorCol = (scroller.scrollLeft + x) / cellSize;
+    const anchorRow = (scroller.scrollTop + y) / cellSize;
+    pendingScrollRef.current = followLatestRef.current
+      ? { left: anchorCol * size - x, top: Number.MAX_SAFE_INTEGER }
+      : { left: anchorCol * size - x, top: anchorRow * size - y };
+    setCellSize(size);
+  }, [cellSize]);
+
+  // React registers wheel listeners as passive, so attach our own to be able to block page zoom
   useEffect(() => {
-    if (scrollRef.current) {
+    const scroller = scrollRef.current;
+    if (!scroller) return;
+    const handleWheel = (event) => {
+      if (!event.ctrlKey && !event.metaKey) return; // Plain wheel scrolls through the history
+      event.preventDefault();
+      const rect = scroller.getBoundingClientRect();
+      const factor = event.deltaY < 0 ? ZOOM_STEP : 1 / ZOOM_STEP;
+      zoomTo(cellSize * factor, event.clientX - rect.left, event.clientY - rect.top);
+    };
+    scroller.addEventListener('wheel', handleWheel, { passive: false });
+    return () => scroller.removeEventListener('wheel', handleWheel);
+  }, [zoomTo, cellSize]);
+
+  const getCellFromMouseEvent = useCallback((event) => {
+    const scroller = scrollRef.current;
+    if (!scroller) return null;
+    const rect = scroller.getBoundingClientRect();
+    const x = event.clientX - rect.left;
+    const y = event.clientY - rect.top;
+    if (x < 0 || y < 0 || x >= scroller.clientWidth || y >= scroller.clientHeight) return null;
+    const cellIndex = Math.floor((scroller.scrollLeft + x) / cellSize);
+    const rowIndex = Math.floor((scroller.scrollTop + y) / cellSize);
+    if (rowIndex < 0 || rowIndex >= numRows || cellIndex < 0 || cellIndex >= numCols) return null;
+    return { rowIndex, cellIndex };
+  }, [cellSize, numRows, numCols]);
+
+  // Describe a cell for the hover readout, including the ghost and perturbed runs' states where there are some
+  const describeCell = useCallback(({ rowIndex, cellIndex }) => {
+    const ghostRow = getGhostRow(rowIndex);
+    const damageRow = getDamageRow(rowIndex);
+    const particleRow = getParticleRow(rowIndex);
+    return {
+      generation: firstGeneration + rowIndex,
+      cellIndex,
+      state: rowIndex < numHistoryRows ? generationsHistory[rowIndex][cellIndex] : null,
+      ghostState: ghostRow ? ghostRow[cellIndex] : null,
+      damageState: damageRow ? damageRow[cellIndex] : null,
+      particleId: particleRow && particleRow[cellIndex] >= 0 ? particleRow[cellIndex] : null
+    };
+  }, [getGhostRow, getDamageRow, getParticleRow, firstGeneration, numHistoryRows, generationsHistory]);
+
+  const handleMouseDown = useCallback((event) => {
+    const scroller = scrollRef.current;
+    if (!scroller || event.button !== 0) return;
+    dragRef.current = {
+      startX: event.clientX,
+      startY: event.clientY,
+      scrollLeft: scroller.scrollLeft,
+      scrollTop: scroller.scrollTop,
+      moved: false
+    };
+  }, []);
+
+  const handleMouseMove = useCallback((event) => {
+    const drag = dragRef.current;
+    if (drag) {
+      const dx = event.clientX - drag.startX;
+      const dy = event.clientY - drag.startY;
+      if (Math.abs(dx) > DRAG_THRESHOLD_PX || Math.abs(dy) > DRAG_THRESHOLD_PX) {
+        drag.moved = true;
+      }
+      if (drag.moved) {
+        scrollRef.current.scrollLeft = drag.scrollLeft - dx;
+        scrollRef.current.scrollTop = drag.scrollTop - dy;
+      }
+    }
+    const cell = getCellFromMouseEvent(event);
+    setHoverInfo(cell && describeCell(cell));
+  }, [getCellFromMouseEvent, describeCell]);
+
+  const handleMouseUp = useCallback((event) => {
+    const drag = dragRef.current;
+    dragRef.current = null;
+    if (!drag || drag.moved) return;
+    const cell = getCellFromMouseEvent(event);
+    // Only rows of the current run can be edited, not the ghost past its end
+    if (cell && cell.rowIndex < numHistoryRows && onCellClick) {
+      onCellClick(cell.rowIndex, cell.cellIndex);
+    }
+  }, [getCellFromMouseEvent, onCellClick, numHistoryRows]);
+
+  const handleMouseLeave = useCallback(() => {
+    dragRef.current = null;
+    setHoverInfo(null);
+  }, []);
+
+  const handleFollowLatestChange = useCallback((event) => {
+    followLatestRef.current = event.target.checked;
+    setFollowLatest(event.target.checked);
+    if (event.target.checked && scrollRef.current) {
       scrollRef.current.scrollTop = scrollRef.current.scrollHeight;
     }
-  }, [generationsHistory]);
+  }, []);
+
+  const formatCellValue = (value) => {
+    if (value === null) return '-';
+    return colormap ? value.toFixed(3) : value;
+  };
 
   if (!generationsHistory || generationsHistory.length === 0) {
     return <div className={styles.automatonContainer}>No generations to display.</div>;
   }
 
   return (
-    <div ref={scrollRef} className={styles.automatonContainer} style={{ maxHeight: '500px', overflowY: 'auto', border: '1px solid #ddd', padding: '5px' }}>
-      {generationsHistory.map((generation, rowIndex) => (
-        <div key={rowIndex} className={styles.automatonRow}>
-          {generation.map((cellState, cellIndex) => (
-            <div
-              key={cellIndex}
-              className={`${styles.cell} ${cellState === 1 ? styles.alive : styles.dead}`}
-              title={`Gen: ${rowIndex}, Cell: ${cellIndex}, State: ${cellState}`}
-              onClick={() => onCellClick && onCellClick(rowIndex, cellIndex)}
-              onKeyPress={(e) => { if (e.key === 'Enter' || e.key === ' ') onCellClick && onCellClick(rowIndex, cellIndex);}}
-              role="button"
-              tabIndex={0}
-            />
-          ))}
+    <div className={styles.automatonContainer}>
+      <div className={styles.toolbar}>
+        <button onClick={() => zoomTo(cellSize / ZOOM_STEP)} title="Zoom out">−</button>
+        <button onClick={() => zoomTo(cellSize * ZOOM_STEP)} title="Zoom in">+</button>
+        <button onClick={() => zoomTo(getFitCellSize(), 0)}>Fit width</button>
+        <label className={styles.toolbarLabel}>
+          <input type="checkbox" checked={followLatest} onChange={handleFollowLatestChange} /> Follow latest
+        </label>
+        <span className={styles.toolbarLabel}>
+          {cellSize >= 1 ? `${cellSize.toFixed(1)} px/cell` : `${(1 / cellSize).toFixed(1)} cells/px`}
+        </span>
+      </div>
+      <div
+        ref={scrollRef}
+        className={styles.scrollArea}
+        style={{ width: `${width}px`, height: `${height}px` }}
+        onScroll={handleScroll}
+        onMouseDown={handleMouseDown}
+        onMouseMove={handleMouseMove}
+        onMouseUp={handleMouseUp}
+        onMouseLeave={handleMouseLeave}
+      >
+        <div style={{ width: `${numCols * cellSize}px`, height: `${numRows * cellSize}px` }}>
+          <canvas ref={canvasRef} className={styles.canvas} />
         </div>
-      ))}
+      </div>
+      <div className={styles.hoverInfo}>
+        {hoverInfo
+          ? `Gen: ${hoverInfo.generation}, Cell: ${hoverInfo.cellIndex}, ${colormap ? 'Value' : 'State'}: ${formatCellValue(hoverInfo.state)}`
+            + (hoverInfo.ghostState !== null ? `, Original: ${formatCellValue(hoverInfo.ghostState)}` : '')
+            + (hoverInfo.damageState !== null ? `, Perturbed: ${hoverInfo.damageState}` : '')
+            + (hoverInfo.particleId !== null ? `, Particle #${hoverInfo.particleId}` : '')
+          : `${numCols} cells × ${numHistoryRows} generations shown`}
+      </div>
     </div>
   );
 };
@@ -18,23 +18,133 @@ const FS_COLOR = `
   }
 `;
 
+// Square grids are drawn as one texture (a texel per cell) stretched over a unit quad
+const VS_TEXTURE = `
+  attribute vec2 a_position;
+  uniform mat4 u_matrix;
+  varying vec2 v_texcoord;
+  void main() {
+    gl_Position = u_matrix * vec4(a_position, 0.0, 1.0);
+    v_texcoord = a_position;
+  }
+`;
+
+const FS_TEXTURE = `
+  precision mediump float;
+  uniform sampler2D u_texture;
+  varying vec2 v_texcoord;
+  void main() {
+    gl_FragColor = texture2D(u_texture, v_texcoord);
+  }
+`;
+
 const ALIVE_COLOR = [0.0, 0.0, 0.0, 1]; // Black
 const DEAD_COLOR = [1.0, 1.0, 1.0, 1];  // White
-const DYING_COLOR = [0.5, 0.5, 0.5, 1]; // Gray (for Brian's Brain)
+// Decay states of Generations rules (2 ... numStates - 1) shade from the first color to the last
+const DECAY_START_COLOR = [0.8, 0.1, 0.1, 1]; // Dark red, just after dying
+const DECAY_END_COLOR = [1.0, 0.85, 0.5, 1];  // Pale orange, about to turn dead
+
+const getDecayColor = (state, numStates) => {
+  const t = numStates > 3 ? (state - 2) / (numStates - 3) : 0;
+  return DECAY_START_COLOR.map((channel, i) => channel + (DECAY_END_COLOR[i] - channel) * t);
+};
+
+// WireWorld states (see WIREWORLD_STATES in automataLogic2D.js); empty cells are left at the dead color
+const WIREWORLD_COLORS = {
+  1: [0.1, 0.35, 1.0, 1],  // Electron head: blue
+  2: [0.9, 0.15, 0.1, 1],  // Electron tail: red
+  3: [1.0, 0.75, 0.1, 1]   // Conductor: amber
+};
+
+// Turmite colors 1 ... 11 (color 0 is the dead color), starting with black so Langton's ant looks as usual
+const TURMITE_COLORS = [
+  [0.0, 0.0, 0.0, 1], [0.85, 0.2, 0.2, 1], [0.2, 0.6, 0.25, 1], [0.2, 0.35, 0.85, 1], [0.95, 0.6, 0.1, 1],
+  [0.55, 0.3, 0.7, 1], [0.1, 0.65, 0.7, 1], [0.55, 0.35, 0.2, 1], [0.9, 0.45, 0.7, 1], [0.55, 0.6, 0.15, 1],
+  [0.5, 0.5, 0.5, 1]
+];
+// Color wheel for cyclic rules: n states spread evenly around the hue circle, state 0 red, so the cycle of states
+// reads as a cycle of colors
+const WHEEL_SATURATION = 0.8;
+const WHEEL_VALUE = 0.95;
+const getWheelColor = (state, numStates) => {
+  const hue = (state / numStates) * 6;
+  const channel = (n) => {
+    const k = (n + hue) % 6;
+    return WHEEL_VALUE * (1 - WHEEL_SATURATION * Math.max(0, Math.min(k, 4 - k, 1)));
+  };
+  return [channel(5), channel(3), channel(1), 1];
+};
+
+// Colormaps for continuous grids, cell values 0 ... 1 from the first anchor to the last (the same anchors as
+// Automaton1DView's coupled map lattices)
+const COLORMAPS = {
+  grayscale: ['#000000', '#ffffff'],
+  viridis: ['#440154', '#3b528b', '#21918c', '#5ec962', '#fde725']
+};
+const COLORMAP_STEPS = 256;
+// Colormap name -> COLORMAP_STEPS RGBA entries, flattened
+const COLORMAP_TABLES = Object.fromEntries(Object.entries(COLORMAPS).map(([name, anchors]) => {
+  const colors = anchors.map((hex) => [1, 3, 5].map((i) => parseInt(hex.slice(i, i + 2), 16)));
+  const table = new Uint8Array(COLORMAP_STEPS * 4);
+  for (let step = 0; step < COLORMAP_STEPS; step++) {
+    const position = (step / (COLORMAP_STEPS - 1)) * (colors.length - 1);
+    const lower = Math.min(Math.floor(position), colors.length - 2);
+    const fraction = position - lower;
+    colors[lower].forEach((channel, i) => {
+      table[step * 4 + i] = Math.round(channel + (colors[lower + 1][i] - channel) * fraction);
+    });
+    table[step * 4 + 3] = 255;
+  }
+  return [name, table];
+}));
+
+const ANT_COLOR = [1.0, 0.1, 0.1, 1]; // Red
+// Ant marker: a triangle pointing north in a unit cell centered on the origin, rotated to the ant's heading
+const ANT_VERTICES = [0, -0.45, 0.35, 0.35, -0.35, 0.35];
+
+// Hex lattice: pointy-top hexagons in "odd-r" layout, odd rows shifted right by half a cell (matching
+// HEX_NEIGHBOR_OFFSETS_2D in automataLogic2D.js). A hexagon 1 wide is 2/sqrt(3) tall, and rows are 3/4 of that apart.
+const HEX_HEIGHT_RATIO = 2 / Math.sqrt(3);
+// Unit hexagon around the origin as a fan of 6 triangles
+const HEX_VERTICES = Array.from({ length: 6 }, (_, k) => {
+  const angle = ((60 * k - 30) * Math.PI) / 180;
+  return [Math.cos(angle) / Math.sqrt(3), Math.sin(angle) / Math.sqrt(3)];
+});
+const UNIT_HEXAGON_VERTICES = HEX_VERTICES.flatMap((vertex, k) => [0, 0, ...vertex, ...HEX_VERTICES[(k + 1) % 6]]);
+
+// Hexagon width for the grid to fit the canvas, and the center of cell (r, c)
+const getHexLayout = (canvasWidth, canvasHeight, numRows, numCols) => {
+  const hexWidth = Math.min(canvasWidth / (numCols + 0.5), canvasHeight / ((numRows * 0.75 + 0.25) * HEX_HEIGHT_RATIO));
+  const hexHeight = hexWidth * HEX_HEIGHT_RATIO;
+  const getCenter = (r, c) => ({ x: (c + 0.5 + (r & 1) * 0.5) * hexWidth, y: (r * 0.75 + 0.5) * hexHeight });
+  return { hexWidth, hexHeight, getCenter };
+};
 
 const Automaton2DView = ({
   width = 500,
   height = 500,
   currentGrid,
   onCellToggle,
+  numStates = 2, // Cell states of the rule: dead, live and the decay states of Generations rules
+  lattice = 'square', // 'hex' draws the grid as hexagons (see getHexLayout)
+  palette = 'generations', // 'wireworld' colors WireWorld's states, 'turmite' turmite colors and 'colorWheel' spreads all
+  // numStates states (0 included) around the hue circle, instead of live and decay states
+  paintState = null, // State clicks and drags paint, through onCellToggle(r, c, state); null toggles cells
+  ants = null, // Turmite ants [{ r, c, heading }] drawn over the cells, heading 0-3 from north clockwise
+  colormap = null, // With a colormap (see COLORMAPS) cells hold continuous values in [0, 1] instead of states
 }) => {
   const canvasRef = useRef(null);
   const glRef = useRef(null);
   const programInfoRef = useRef(null);
+  const textureProgramInfoRef = useRef(null);
+  const textureRef = useRef(null);
   const quadBufferInfoRef = useRef(null);
+  const hexBufferInfoRef = useRef(null);
+  const antBufferInfoRef = useRef(null);
   const [webGLError, setWebGLError] = useState('');
   const [isDragging, setIsDragging] = useState(false);
   const lastToggledCellRef = useRef({ r: -1, c: -1 });
+  const dragStateRef = useRef(null); // State a paintState drag paints: paintState, or 0 if it started on one
 
   console.log('[View] Automaton2DView rendering/re-rendering. Instance created or updated.');
 
@@ -46,6 +156,28 @@ const Automaton2DView = ({
     const gl = glRef.current;
     const numRows = currentGrid.length;
     const numCols = currentGrid[0].length;
+    if (lattice === 'hex') {
+      // The cell is the one with the nearest center: check the rows and columns around the estimated one
+      const { hexWidth, hexHeight, getCenter } = getHexLayout(gl.canvas.width, gl.canvas.height, numRows, numCols);
+      const estimatedRow = Math.round((mouseY / hexHeight - 0.5) / 0.75);
+      let nearest = null;
+      let nearestDistance = Infinity;
+      for (let rowIndex = estimatedRow - 1; rowIndex <= estimatedRow + 1; rowIndex++) {
+        const estimatedCol = Math.round(mouseX / hexWidth - 0.5 - (rowIndex & 1) * 0.5);
+        for (let colIndex = estimatedCol - 1; colIndex <= estimatedCol + 1; colIndex++) {
+          const center = getCenter(rowIndex, colIndex);
+          const distance = Math.hypot(mouseX - center.x, mouseY - center.y);
+          if (distance < nearestDistance) {
+            nearestDistance = distance;
+            nearest = { rowIndex, colIndex };
+          }
+        }
+      }
+      if (nearestDistance <= hexHeight / 2 && nearest.rowIndex >= 0 && nearest.rowIndex < numRows && nearest.colIndex >= 0 && nearest.colIndex < numCols) {
+        return nearest;
+      }
+      return null;
+    }
     // console.log('[View] getCellFromMouseEvent: mouseX, mouseY', mouseX, mouseY, 'canvas dims:', gl.canvas.width, gl.canvas.height, 'numCols, numRows:', numCols, numRows);
     const cellWidth = gl.canvas.width / numCols;
     const cellHeight = gl.canvas.height / numRows;
@@ -57,7 +189,7 @@ const Automaton2DView = ({
       return { rowIndex, colIndex };
     }
     return null;
-  }, [currentGrid]);
+  }, [currentGrid, lattice]);
 
   const handleMouseDown = useCallback((event) => {
     console.log('[View] handleMouseDown: FIRED');
@@ -65,11 +197,17 @@ const Automaton2DView = ({
     const cell = getCellFromMouseEvent(event);
     console.log('[View] handleMouseDown: cell from getCellFromMouseEvent', cell);
     if (cell && onCellToggle) {
-      onCellToggle(cell.rowIndex, cell.colIndex);
+      if (paintState === null) {
+        onCellToggle(cell.rowIndex, cell.colIndex);
+      } else {
+        // Painting over a cell already in the paint state erases instead, for the rest of the drag too
+        dragStateRef.current = currentGrid[cell.rowIndex][cell.colIndex] === paintState ? 0 : paintState;
+        onCellToggle(cell.rowIndex, cell.colIndex, dragStateRef.current);
+      }
       lastToggledCellRef.current = { r: cell.rowIndex, c: cell.colIndex };
       console.log('[View] handleMouseDown: onCellToggle called with', cell.rowIndex, cell.colIndex);
     }
-  }, [onCellToggle, getCellFromMouseEvent]);
+  }, [onCellToggle, getCellFromMouseEvent, paintState, currentGrid]);
 
   const handleMouseMove = useCallback((event) => {
     console.log('[View] handleMouseMove: dragging?', isDragging); 
@@ -78,12 +216,16 @@ const Automaton2DView = ({
     console.log('[View] handleMouseMove: cell', cell);
     if (cell && onCellToggle) {
       if (cell.rowIndex !== lastToggledCellRef.current.r || cell.colIndex !== lastToggledCellRef.current.c) {
-        onCellToggle(cell.rowIndex, cell.colIndex);
+        if (paintState === null) {
+          onCellToggle(cell.rowIndex, cell.colIndex);
+        } else {
+          onCellToggle(cell.rowIndex, cell.colIndex, dragStateRef.current);
+        }
         lastToggledCellRef.current = { r: cell.rowIndex, c: cell.colIndex };
         console.log('[View] handleMouseMove: onCellToggle called with', cell.rowIndex, cell.colIndex);
       }
     }
-  }, [isDragging, onCellToggle, getCellFromMouseEvent]);
+  }, [isDragging, onCellToggle, getCellFromMouseEvent, paintState]);
 
   const handleMouseUp = useCallback(() => { setIsDragging(false); lastToggledCellRef.current = { r: -1, c: -1 }; }, []);
   const handleMouseLeave = useCallback(() => { setIsDragging(false); lastToggledCellRef.current = { r: -1, c: -1 }; }, []);
@@ -92,6 +234,7 @@ const Automaton2DView = ({
     const gl = glRef.current;
     const programInfo = programInfoRef.current;
     const quadBufferInfo = quadBufferInfoRef.current;
+    const hexBufferInfo = hexBufferInfoRef.current;
 
     // console.log('[View] drawGrid: Called. currentGrid dimensions:', currentGrid ? `${currentGrid.length}x${currentGrid[0]?.length}` : 'null');
 
@@ -111,10 +254,6 @@ const Automaton2DView = ({
     
     twgl.resizeCanvasToDisplaySize(gl.canvas);
     gl.viewport(0, 0, gl.canvas.width, gl.canvas.height);
-    gl.clearColor(0.95, 0.95, 0.95, 1);
-    gl.clear(gl.COLOR_BUFFER_BIT);
-    gl.useProgram(programInfo.program);
-    twgl.setBuffersAndAttributes(gl, programInfo, quadBufferInfo);
     
     // Match internal dimensions to CSS dimensions
     if (canvasRef.current) {
@@ -125,33 +264,95 @@ const Automaton2DView = ({
         gl.viewport(0, 0, gl.canvas.width, gl.canvas.height);
       }
     }
-    
+
+    const projectionMatrix = twgl.m4.ortho(0, gl.canvas.width, gl.canvas.height, 0, -1, 1);
     const cellWidth = gl.canvas.width / numCols;
     const cellHeight = gl.canvas.height / numRows;
-    const projectionMatrix = twgl.m4.ortho(0, gl.canvas.width, gl.canvas.height, 0, -1, 1);
 
-    for (let r = 0; r < numRows; r++) {
-      for (let c = 0; c < numCols; c++) {
-        const modelMatrix = twgl.m4.identity();
-        twgl.m4.translate(modelMatrix, [c * cellWidth, r * cellHeight, 0], modelMatrix);
-        twgl.m4.scale(modelMatrix, [cellWidth, cellHeight, 1], modelMatrix);
-        const u_matrix = twgl.m4.multiply(projectionMatrix, modelMatrix);
-        
-        // Handle different cell states (including Brian's Brain's 3 states)
-        let u_color;
-        if (currentGrid[r][c] === 1) {
-          u_color = ALIVE_COLOR;
-        } else if (currentGrid[r][c] === 2) {
-          u_color = DYING_COLOR;
-        } else {
-          u_color = DEAD_COLOR;
+    // Color of a discrete state (including the decay states of Generations rules)
+    const wheelColors = palette === 'colorWheel' ? Array.from({ length: numStates }, (_, state) => getWheelColor(state, numStates)) : null;
+    const decayColors = Array.from({ length: Math.max(0, numStates - 2) }, (_, i) => getDecayColor(i + 2, numStates));
+    const getStateColor = (state) => {
+      if (palette === 'wireworld') return WIREWORLD_COLORS[state] || DEAD_COLOR;
+      if (wheelColors) return wheelColors[state] || DEAD_COLOR;
+      if (state === 0) return DEAD_COLOR;
+      if (palette === 'turmite') return TURMITE_COLORS[state - 1] || DEAD_COLOR;
+      if (state === 1) return ALIVE_COLOR;
+      return decayColors[state - 2] || DEAD_COLOR;
+    };
+
+    // Square grids are drawn as one texture, one pixel per cell, in a single draw call whatever the rule
+    // leaves alive (cyclic rules and Larger than Life soups keep tens of thousands of cells non-zero)
+    const isHex = lattice === 'hex' && hexBufferInfo;
+    if (!isHex && textureProgramInfoRef.current && textureRef.current) {
+      const colormapTable = colormap && (COLORMAP_TABLES[colormap] || COLORMAP_TABLES.grayscale);
+      const stateBytes = []; // RGBA bytes per discrete state, filled in as states turn up
+      const pixels = new Uint8Array(numRows * numCols * 4);
+      for (let r = 0; r < numRows; r++) {
+        for (let c = 0; c < numCols; c++) {
+          const value = currentGrid[r][c];
+          if (colormapTable) {
+            const step = Math.min(COLORMAP_STEPS - 1, Math.max(0, Math.floor(value * COLORMAP_STEPS)));
+            pixels.set(colormapTable.subarray(step * 4, step * 4 + 4), (r * numCols + c) * 4);
+          } else {
+            if (!stateBytes[value]) stateBytes[value] = getStateColor(value).map((channel) => Math.round(channel * 255));
+            pixels.set(stateBytes[value], (r * numCols + c) * 4);
+          }
+        }
+      }
+      twgl.setTextureFromArray(gl, textureRef.current, pixels, { width: numCols, height: numRows });
+      const textureProgramInfo = textureProgramInfoRef.current;
+      gl.useProgram(textureProgramInfo.program);
+      twgl.setBuffersAndAttributes(gl, textureProgramInfo, quadBufferInfo);
+      const modelMatrix = twgl.m4.scaling([gl.canvas.width, gl.canvas.height, 1]);
+      twgl.setUniforms(textureProgramInfo, {
+        u_matrix: twgl.m4.multiply(projectionMatrix, modelMatrix),
+        u_texture: textureRef.current
+      });
+      twgl.drawBufferInfo(gl, quadBufferInfo);
+      gl.useProgram(programInfo.program);
+    } else {
+      // Hexagons can't be texels: clear to the background color and draw only the other cells
+      gl.clearColor(...getStateColor(0));
+      gl.clear(gl.COLOR_BUFFER_BIT);
+      gl.useProgram(programInfo.program);
+      const cellBufferInfo = isHex ? hexBufferInfo : quadBufferInfo;
+      twgl.setBuffersAndAttributes(gl, programInfo, cellBufferInfo);
+      const hexLayout = isHex && getHexLayout(gl.canvas.width, gl.canvas.height, numRows, numCols);
+
+      for (let r = 0; r < numRows; r++) {
+        for (let c = 0; c < numCols; c++) {
+          if (currentGrid[r][c] === 0) continue;
+          const modelMatrix = twgl.m4.identity();
+          if (isHex) {
+            const center = hexLayout.getCenter(r, c);
+            twgl.m4.translate(modelMatrix, [center.x, center.y, 0], modelMatrix);
+            twgl.m4.scale(modelMatrix, [hexLayout.hexWidth, hexLayout.hexWidth, 1], modelMatrix);
+          } else {
+            twgl.m4.translate(modelMatrix, [c * cellWidth, r * cellHeight, 0], modelMatrix);
+            twgl.m4.scale(modelMatrix, [cellWidth, cellHeight, 1], modelMatrix);
+          }
+          const u_matrix = twgl.m4.multiply(projectionMatrix, modelMatrix);
+          twgl.setUniforms(programInfo, { u_matrix, u_color: getStateColor(currentGrid[r][c]) });
+          twgl.drawBufferInfo(gl, cellBufferInfo);
         }
-        
-        twgl.setUniforms(programInfo, { u_matrix, u_color });
-        twgl.drawBufferInfo(gl, quadBufferInfo);
       }
     }
-  }, [currentGrid]);
+
+    const antBufferInfo = antBufferInfoRef.current;
+    if (ants && antBufferInfo && !isHex) {
+      twgl.setBuffersAndAttributes(gl, programInfo, antBufferInfo);
+      ants.forEach(({ r, c, heading }) => {
+        const modelMatrix = twgl.m4.identity();
+        twgl.m4.translate(modelMatrix, [(c + 0.5) * cellWidth, (r + 0.5) * cellHeight, 0], modelMatrix);
+        twgl.m4.scale(modelMatrix, [cellWidth, cellHeight, 1], modelMatrix);
+        // y points down the canvas, so a positive rotation turns the marker clockwise
+        twgl.m4.rotateZ(modelMatrix, (heading * Math.PI) / 2, modelMatrix);
+        twgl.setUniforms(programInfo, { u_matrix: twgl.m4.multiply(projectionMatrix, modelMatrix), u_color: ANT_COLOR });
+        twgl.drawBufferInfo(gl, antBufferInfo);
+      });
+    }
+  }, [currentGrid, numStates, lattice, palette, ants, colormap]);
 
   // Effect 1: Setup and Cleanup GL resources (Runs on mount and unmount)
   useEffect(() => {
@@ -182,6 +383,15 @@ const Automaton2DView = ({
       return;
     }
     programInfoRef.current = newProgramInfo;
+    const newTextureProgramInfo = twgl.createProgramInfo(gl, [VS_TEXTURE, FS_TEXTURE]);
+    if (newTextureProgramInfo && newTextureProgramInfo.program) {
+      textureProgramInfoRef.current = newTextureProgramInfo;
+      // Nearest filtering keeps cells sharp; rows are uploaded tightly packed whatever their width
+      gl.pixelStorei(gl.UNPACK_ALIGNMENT, 1);
+      textureRef.current = twgl.createTexture(gl, { minMag: gl.NEAREST, wrap: gl.CLAMP_TO_EDGE, width: 1, height: 1 });
+    } else {
+      console.error('[View] GL Setup: Texture program creation failed; falling back to one draw call per cell.');
+    }
     console.log('[View] GL Setup: Shader program created.');
 
     // Create quad buffer
@@ -190,7 +400,13 @@ const Automaton2DView = ({
       a_position: { numComponents: 2, data: unitQuadVertices },
     });
     quadBufferInfoRef.current = newQuadBufferInfo;
-    console.log('[View] GL Setup: Quad buffer created.');
+    hexBufferInfoRef.current = twgl.createBufferInfoFromArrays(gl, {
+      a_position: { numComponents: 2, data: UNIT_HEXAGON_VERTICES },
+    });
+    antBufferInfoRef.current = twgl.createBufferInfoFromArrays(gl, {
+      a_position: { numComponents: 2, data: ANT_VERTICES },
+    });
+    console.log('[View] GL Setup: Quad, hexagon and ant buffers created.');
     setWebGLError(''); // Clear any previous error
 
     return () => {
@@ -201,6 +417,12 @@ const Automaton2DView = ({
           currentGl.deleteProgram(programInfoRef.current.program);
           console.log('[View] Cleanup: Program deleted.');
         }
+        if (textureProgramInfoRef.current && textureProgramInfoRef.current.program) {
+          currentGl.deleteProgram(textureProgramInfoRef.current.program);
+        }
+        if (textureRef.current) {
+          currentGl.deleteTexture(textureRef.current);
+        }
         if (quadBufferInfoRef.current) {
           if (quadBufferInfoRef.current.attribs?.a_position?.buffer) {
             currentGl.deleteBuffer(quadBufferInfoRef.current.attribs.a_position.buffer);
@@ -211,10 +433,20 @@ const Automaton2DView = ({
             console.log('[View] Cleanup: Index buffer deleted (if existed).');
           }
         }
+        if (hexBufferInfoRef.current?.attribs?.a_position?.buffer) {
+          currentGl.deleteBuffer(hexBufferInfoRef.current.attribs.a_position.buffer);
+        }
+        if (antBufferInfoRef.current?.attribs?.a_position?.buffer) {
+          currentGl.deleteBuffer(antBufferInfoRef.current.attribs.a_position.buffer);
+        }
       }
       // Crucially nullify all refs
       programInfoRef.current = null;
+      textureProgramInfoRef.current = null;
+      textureRef.current = null;
       quadBufferInfoRef.current = null;
+      hexBufferInfoRef.current = null;
+      antBufferInfoRef.current = null;
       glRef.current = null; 
       console.log('[View] Cleanup: GL Refs (glRef, programInfoRef, quadBufferInfoRef) nullified.');
     };
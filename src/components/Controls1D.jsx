@@ -1,33 +1,293 @@
 // Content for components/Controls1D.jsx
 import React, { useState, useEffect, useCallback } from 'react';
+import {
+  getMaxRuleNumber,
+  getRuleTableSize,
+  parseRuleNumber,
+  parseStateString,
+  MAX_STATES_1D,
+  RADII_1D,
+  UPDATE_MODES_1D,
+  CML_MAPS_1D,
+  MIN_CELL_COUNT_1D,
+  MAX_CELL_COUNT_1D
+} from '../automataLogic.js';
+import { parseAdjacencyList, TOPOLOGY_TYPES_1D } from '../graphTopology1D.js';
+
+const LATTICE_TYPE_NAMES = {
+  'discrete': 'Cellular automaton',
+  'cml': 'Coupled map lattice'
+};
+
+// Colormaps for coupled map lattices (drawn by Automaton1DView)
+const COLORMAP_NAMES = {
+  'grayscale': 'Grayscale',
+  'viridis': 'Viridis'
+};
+
+const RULE_TYPE_NAMES = {
+  'elementary': 'Elementary',
+  'totalistic': 'Totalistic',
+  'outerTotalistic': 'Outer totalistic'
+};
+
+const INITIAL_CONDITION_NAMES = {
+  'single': 'Single cell',
+  'random': 'Random',
+  'block': 'Repeated block',
+  'string': 'Pasted string'
+};
+
+// Update schemes (see UPDATE_MODES_1D), with the name of the probability each one uses
+const UPDATE_MODE_NAMES = {
+  'synchronous': { name: 'Synchronous', probabilityLabel: null },
+  'noisy': { name: 'Noisy (rule applied with probability p)', probabilityLabel: 'p' },
+  'randomSequential': { name: 'Random sequential', probabilityLabel: null },
+  'alphaAsynchronous': { name: 'α-asynchronous', probabilityLabel: 'α' }
+};
+
+const TOPOLOGY_NAMES = {
+  'ring': 'Ring',
+  'smallWorld': 'Small world (rewired ring)',
+  'adjacency': 'Imported adjacency list'
+};
+
+const GENERATIONS_PER_TICK_OPTIONS = [1, 5, 20, 100];
+
+// Large maxima (e.g. 2^128 - 1 for radius 3) are easier to read as a power
+const formatMaxRule = (maxRule, states, tableSize) => {
+  const text = maxRule.toString();
+  return text.length > 12 ? `${states}^${tableSize} - 1` : text;
+};
 
 const Controls1D = ({ 
   onStart, 
   onPause, 
   onReset, 
+  latticeType = 'discrete',
+  onLatticeTypeChange,
+  cmlSettings,
+  onCmlSettingsChange,
   onRuleChange, 
   currentRule, 
+  states = 2,
+  onStatesChange,
+  ruleType = 'elementary',
+  onRuleTypeChange,
+  radius = 1,
+  onRadiusChange,
+  secondOrder = false,
+  onSecondOrderChange,
+  onStepForward,
+  onStepBackward,
   isRunning,
   simulationSpeed = 200,
-  onSpeedChange
+  onSpeedChange,
+  generationsPerTick = 1,
+  onGenerationsPerTickChange,
+  cellCount,
+  onCellCountChange,
+  initialCondition,
+  onInitialConditionChange,
+  onNewSeed,
+  updateScheme,
+  onUpdateSchemeChange,
+  onNewUpdateSeed,
+  topologySettings,
+  onTopologySettingsChange,
+  onNewTopologySeed,
+  adjacencyError
 }) => {
   const [ruleInputValue, setRuleInputValue] = useState(currentRule.toString());
+  const [cellCountInputValue, setCellCountInputValue] = useState(cellCount.toString());
+  const [patternInputValue, setPatternInputValue] = useState(initialCondition.pattern);
+  const [adjacencyInputValue, setAdjacencyInputValue] = useState(topologySettings.adjacencyText);
+  const [adjacencyReadError, setAdjacencyReadError] = useState('');
+  const maxRule = getMaxRuleNumber(states, ruleType, radius);
+  const maxRuleText = formatMaxRule(maxRule, states, getRuleTableSize(states, ruleType, radius));
 
   useEffect(() => {
-    setRuleInputValue(currentRule.toString());
+    // Leave the text alone while it already denotes the current rule, so hex input isn't rewritten to decimal mid-typing
+    setRuleInputValue((prevValue) => (parseRuleNumber(prevValue) === currentRule ? prevValue : currentRule.toString()));
   }, [currentRule]);
 
   const handleRuleInputChangeInternal = useCallback((event) => {
     const value = event.target.value;
     setRuleInputValue(value);
-    const numericValue = parseInt(value, 10);
-    if (!isNaN(numericValue) && numericValue >= 0 && numericValue <= 255) {
-      if (onRuleChange) onRuleChange(numericValue);
+    const ruleValue = parseRuleNumber(value);
+    if (ruleValue !== null && ruleValue <= maxRule) {
+      if (onRuleChange) onRuleChange(ruleValue);
     } else if (value === '') {
-      if (onRuleChange) onRuleChange(0); 
+      if (onRuleChange) onRuleChange(0n);
     }
-  }, [onRuleChange]);
+  }, [onRuleChange, maxRule]);
+
+  const parsedRuleInput = parseRuleNumber(ruleInputValue);
+  const ruleInputError = ruleInputValue !== '' && (parsedRuleInput === null || parsedRuleInput > maxRule)
+    ? `Rule must be a decimal or 0x-prefixed hex number from 0 to ${maxRuleText} for radius ${radius}`
+    : '';
+
+  const handleStatesChange = useCallback((event) => {
+    if (onStatesChange) onStatesChange(parseInt(event.target.value, 10));
+  }, [onStatesChange]);
+
+  const handleRuleTypeChange = useCallback((event) => {
+    if (onRuleTypeChange) onRuleTypeChange(event.target.value);
+  }, [onRuleTypeChange]);
+
+  const handleRadiusChange = useCallback((event) => {
+    if (onRadiusChange) onRadiusChange(parseInt(event.target.value, 10));
+  }, [onRadiusChange]);
+
+  const isCML = latticeType === 'cml';
+  const cmlMap = CML_MAPS_1D[cmlSettings.map];
+
+  const handleLatticeTypeChange = useCallback((event) => {
+    if (onLatticeTypeChange) onLatticeTypeChange(event.target.value);
+  }, [onLatticeTypeChange]);
+
+  const handleCmlMapChange = useCallback((event) => {
+    const map = event.target.value;
+    if (onCmlSettingsChange) onCmlSettingsChange({ map, parameter: CML_MAPS_1D[map].defaultParameter });
+  }, [onCmlSettingsChange]);
+
+  const handleCmlParameterChange = useCallback((event) => {
+    if (onCmlSettingsChange) onCmlSettingsChange({ parameter: parseFloat(event.target.value) });
+  }, [onCmlSettingsChange]);
+
+  const handleCmlCouplingChange = useCallback((event) => {
+    if (onCmlSettingsChange) onCmlSettingsChange({ coupling: parseFloat(event.target.value) });
+  }, [onCmlSettingsChange]);
+
+  const handleCmlNoiseChange = useCallback((event) => {
+    if (onCmlSettingsChange) onCmlSettingsChange({ noise: parseFloat(event.target.value) });
+  }, [onCmlSettingsChange]);
+
+  const handleCmlColormapChange = useCallback((event) => {
+    if (onCmlSettingsChange) onCmlSettingsChange({ colormap: event.target.value });
+  }, [onCmlSettingsChange]);
+
+  const handleSecondOrderChange = useCallback((event) => {
+    if (onSecondOrderChange) onSecondOrderChange(event.target.checked);
+  }, [onSecondOrderChange]);
   
+  useEffect(() => {
+    setCellCountInputValue(cellCount.toString());
+  }, [cellCount]);
+
+  useEffect(() => {
+    setPatternInputValue(initialCondition.pattern);
+  }, [initialCondition.pattern]);
+
+  const handleCellCountInputChange = useCallback((event) => {
+    setCellCountInputValue(event.target.value);
+  }, []);
+
+  // The width is only applied on blur or Enter, since every change of width restarts the run
+  const applyCellCountInput = useCallback(() => {
+    const numericValue = parseInt(cellCountInputValue, 10);
+    if (!isNaN(numericValue) && numericValue >= MIN_CELL_COUNT_1D && numericValue <= MAX_CELL_COUNT_1D
+      && numericValue !== cellCount && onCellCountChange) {
+      onCellCountChange(numericValue);
+    }
+  }, [cellCountInputValue, cellCount, onCellCountChange]);
+
+  const handleCellCountKeyDown = useCallback((event) => {
+    if (event.key === 'Enter') applyCellCountInput();
+  }, [applyCellCountInput]);
+
+  const handlePatternInputChange = useCallback((event) => {
+    const value = event.target.value;
+    setPatternInputValue(value);
+    if (parseStateString(value, states) && onInitialConditionChange) {
+      onInitialConditionChange({ pattern: value });
+    }
+  }, [onInitialConditionChange, states]);
+
+  const handleInitialTypeChange = useCallback((event) => {
+    if (onInitialConditionChange) onInitialConditionChange({ type: event.target.value });
+  }, [onInitialConditionChange]);
+
+  const handleDensityChange = useCallback((event) => {
+    if (onInitialConditionChange) onInitialConditionChange({ density: parseFloat(event.target.value) });
+  }, [onInitialConditionChange]);
+
+  const handleSeedChange = useCallback((event) => {
+    const numericValue = parseInt(event.target.value, 10);
+    if (!isNaN(numericValue) && numericValue >= 0 && onInitialConditionChange) {
+      onInitialConditionChange({ seed: numericValue >>> 0 });
+    }
+  }, [onInitialConditionChange]);
+
+  const handleUpdateModeChange = useCallback((event) => {
+    if (onUpdateSchemeChange) onUpdateSchemeChange({ mode: event.target.value });
+  }, [onUpdateSchemeChange]);
+
+  const handleUpdateProbabilityChange = useCallback((event) => {
+    if (onUpdateSchemeChange) onUpdateSchemeChange({ probability: parseFloat(event.target.value) });
+  }, [onUpdateSchemeChange]);
+
+  const handleUpdateSeedChange = useCallback((event) => {
+    const numericValue = parseInt(event.target.value, 10);
+    if (!isNaN(numericValue) && numericValue >= 0 && onUpdateSchemeChange) {
+      onUpdateSchemeChange({ seed: numericValue >>> 0 });
+    }
+  }, [onUpdateSchemeChange]);
+
+  const handleTopologyTypeChange = useCallback((event) => {
+    if (onTopologySettingsChange) onTopologySettingsChange({ type: event.target.value });
+  }, [onTopologySettingsChange]);
+
+  const handleRewiringProbabilityChange = useCallback((event) => {
+    if (onTopologySettingsChange) onTopologySettingsChange({ probability: parseFloat(event.target.value) });
+  }, [onTopologySettingsChange]);
+
+  const handleTopologySeedChange = useCallback((event) => {
+    const numericValue = parseInt(event.target.value, 10);
+    if (!isNaN(numericValue) && numericValue >= 0 && onTopologySettingsChange) {
+      onTopologySettingsChange({ seed: numericValue >>> 0 });
+    }
+  }, [onTopologySettingsChange]);
+
+  // The list is only applied on request: every change of graph restarts the run
+  const handleApplyAdjacency = useCallback(() => {
+    if (parseAdjacencyList(adjacencyInputValue) && onTopologySettingsChange) {
+      onTopologySettingsChange({ adjacencyText: adjacencyInputValue });
+    }
+  }, [adjacencyInputValue, onTopologySettingsChange]);
+
+  const handleAdjacencyFileChange = useCallback((event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+    file.text().then((text) => {
+      setAdjacencyReadError('');
+      setAdjacencyInputValue(text);
+      if (parseAdjacencyList(text) && onTopologySettingsChange) {
+        onTopologySettingsChange({ adjacencyText: text });
+      }
+    }).catch((err) => {
+      console.error('Error reading adjacency list:', err);
+      setAdjacencyReadError(`Could not read ${file.name}: ${err.message}`);
+    });
+    event.target.value = ''; // Allow loading the same file again
+  }, [onTopologySettingsChange]);
+
+  const usesAdjacencyList = !isCML && topologySettings.type === 'adjacency';
+  // A list that doesn't parse first, then one that couldn't be read or was refused by the app
+  const adjacencyInputError = !usesAdjacencyList ? '' : (
+    adjacencyInputValue.trim() !== '' && !parseAdjacencyList(adjacencyInputValue)
+      ? 'Adjacency list must have one line per node, "left right" or "node: left right", with node indices from 0'
+      : adjacencyReadError || adjacencyError || ''
+  );
+
+  const cellCountInputValid = /^\d+$/.test(cellCountInputValue)
+    && parseInt(cellCountInputValue, 10) >= MIN_CELL_COUNT_1D
+    && parseInt(cellCountInputValue, 10) <= MAX_CELL_COUNT_1D;
+  const usesPattern = initialCondition.type === 'block' || initialCondition.type === 'string';
+  const patternInputError = usesPattern && !parseStateString(patternInputValue, states)
+    ? `Pattern must contain only the digits 0-${states - 1}`
+    : '';
+
   const handleSpeedChange = useCallback((event) => {
     const newSpeed = parseInt(event.target.value, 10);
     if (onSpeedChange) {
@@ -35,10 +295,20 @@ const Controls1D = ({
     }
   }, [onSpeedChange]);
   
+  const handleGenerationsPerTickChange = useCallback((event) => {
+    if (onGenerationsPerTickChange) onGenerationsPerTickChange(parseInt(event.target.value, 10));
+  }, [onGenerationsPerTickChange]);
+
   const controlStyles = {
     controlsContainer: { display: 'flex', alignItems: 'center', gap: '10px', padding: '10px', marginBottom: '20px', flexWrap: 'wrap', justifyContent: 'center' },
     label: { marginRight: '5px' },
-    input: { width: '60px', padding: '8px', border: '1px solid #ccc', borderRadius: '4px' },
+    input: { width: '120px', padding: '8px', border: '1px solid #ccc', borderRadius: '4px' },
+    inputWide: { width: '320px' },
+    inputError: { borderColor: '#dc3545' },
+    select: { padding: '8px', borderRadius: '4px' },
+    initialRow: { display: 'flex', alignItems: 'center', gap: '10px', flexBasis: '100%', justifyContent: 'center', flexWrap: 'wrap' },
+    patternInput: { width: '200px', padding: '8px', border: '1px solid #ccc', borderRadius: '4px', fontFamily: 'monospace' },
+    errorText: { flexBasis: '100%', textAlign: 'center', fontSize: '0.85em', color: '#dc3545' },
     button: { padding: '8px 15px', border: 'none', borderRadius: '4px', cursor: 'pointer', backgroundColor: '#007bff', color: 'white' },
     buttonDisabled: { backgroundColor: '#6c757d' },
     controlGroup: { display: 'flex', alignItems: 'center', gap: '10px', marginLeft: '10px' },
@@ -48,11 +318,96 @@ const Controls1D = ({
 
   return (
     <div style={controlStyles.controlsContainer}>
-      <label htmlFor="ruleNumber" style={controlStyles.label}>Rule:</label>
-      <input type="number" id="ruleNumber" value={ruleInputValue} onChange={handleRuleInputChangeInternal} min="0" max="255" style={controlStyles.input} disabled={isRunning} />
+      <label htmlFor="latticeType1D" style={controlStyles.label}>Lattice:</label>
+      <select id="latticeType1D" value={latticeType} onChange={handleLatticeTypeChange} style={controlStyles.select} disabled={isRunning}>
+        {Object.entries(LATTICE_TYPE_NAMES).map(([key, name]) => (
+          <option key={key} value={key}>{name}</option>
+        ))}
+      </select>
+      {isCML ? (
+        <>
+          <label htmlFor="cmlMap" style={controlStyles.label}>Map:</label>
+          <select id="cmlMap" value={cmlSettings.map} onChange={handleCmlMapChange} style={controlStyles.select} disabled={isRunning}>
+            {Object.entries(CML_MAPS_1D).map(([key, { name }]) => (
+              <option key={key} value={key}>{name}</option>
+            ))}
+          </select>
+          <label style={controlStyles.label}>{cmlMap.parameterName}:</label>
+          <input
+            type="range"
+            min={cmlMap.min}
+            max={cmlMap.max}
+            step="0.01"
+            value={cmlSettings.parameter}
+            onChange={handleCmlParameterChange}
+            style={controlStyles.slider}
+          />
+          <span style={{ fontSize: '0.9em' }}>{cmlSettings.parameter.toFixed(2)}</span>
+          <label style={controlStyles.label}>Coupling ε:</label>
+          <input
+            type="range"
+            min="0"
+            max="1"
+            step="0.01"
+            value={cmlSettings.coupling}
+            onChange={handleCmlCouplingChange}
+            style={controlStyles.slider}
+          />
+          <span style={{ fontSize: '0.9em' }}>{cmlSettings.coupling.toFixed(2)}</span>
+          <label htmlFor="cmlColormap" style={controlStyles.label}>Colors:</label>
+          <select id="cmlColormap" value={cmlSettings.colormap} onChange={handleCmlColormapChange} style={controlStyles.select}>
+            {Object.entries(COLORMAP_NAMES).map(([key, name]) => (
+              <option key={key} value={key}>{name}</option>
+            ))}
+          </select>
+        </>
+      ) : (
+        <>
+          <label htmlFor="ruleType" style={controlStyles.label}>Type:</label>
+          <select id="ruleType" value={ruleType} onChange={handleRuleTypeChange} style={controlStyles.select} disabled={isRunning}>
+            {Object.entries(RULE_TYPE_NAMES).map(([key, name]) => (
+              <option key={key} value={key}>{name}</option>
+            ))}
+          </select>
+          <label htmlFor="ruleStates" style={controlStyles.label}>States:</label>
+          <select id="ruleStates" value={states} onChange={handleStatesChange} style={controlStyles.select} disabled={isRunning}>
+            {Array.from({ length: MAX_STATES_1D - 1 }, (_, i) => i + 2).map((k) => (
+              <option key={k} value={k}>{k}</option>
+            ))}
+          </select>
+          <label htmlFor="ruleRadius" style={controlStyles.label}>Radius:</label>
+          <select id="ruleRadius" value={radius} onChange={handleRadiusChange} style={controlStyles.select} disabled={isRunning}>
+            {RADII_1D.map((r) => (
+              <option key={r} value={r}>{r}</option>
+            ))}
+          </select>
+          <label style={controlStyles.label} title="Next row = f(current row) XOR previous row (minus, mod k, for more than two states), which can be run backwards">
+            <input type="checkbox" checked={secondOrder} onChange={handleSecondOrderChange} disabled={isRunning} /> Second-order (reversible)
+          </label>
+          <label htmlFor="ruleNumber" style={controlStyles.label}>Rule:</label>
+          <input
+            type="text"
+            id="ruleNumber"
+            value={ruleInputValue}
+            onChange={handleRuleInputChangeInternal}
+            title={`0 to ${maxRuleText} (decimal or 0x hex)`}
+            style={{...controlStyles.input, ...(radius > 1 && controlStyles.inputWide), ...(ruleInputError && controlStyles.inputError)}}
+            disabled={isRunning}
+          />
+        </>
+      )}
       <button onClick={onStart} disabled={isRunning} style={{...controlStyles.button, ...(isRunning && controlStyles.buttonDisabled)}}>Start</button>
       <button onClick={onPause} disabled={!isRunning} style={{...controlStyles.button, ...(!isRunning && controlStyles.buttonDisabled)}}>Pause</button>
       <button onClick={onReset} style={controlStyles.button}>Reset</button>
+      <button
+        onClick={onStepBackward}
+        disabled={isRunning || !secondOrder}
+        title={secondOrder ? 'Run the rule backwards one generation' : 'Only second-order rules can be run backwards'}
+        style={{...controlStyles.button, ...((isRunning || !secondOrder) && controlStyles.buttonDisabled)}}
+      >
+        Step back
+      </button>
+      <button onClick={onStepForward} disabled={isRunning} style={{...controlStyles.button, ...(isRunning && controlStyles.buttonDisabled)}}>Step</button>
       
       <div style={controlStyles.controlGroup}>
         <label style={controlStyles.sliderLabel}>Speed:</label>
@@ -68,7 +423,204 @@ const Controls1D = ({
         <span style={{ marginLeft: '5px', fontSize: '0.9em' }}>
           {simulationSpeed}ms
         </span>
+        <label htmlFor="generationsPerTick" style={controlStyles.label}>Gens/tick:</label>
+        <select id="generationsPerTick" value={generationsPerTick} onChange={handleGenerationsPerTickChange} style={controlStyles.select}>
+          {GENERATIONS_PER_TICK_OPTIONS.map((n) => (
+            <option key={n} value={n}>{n}</option>
+          ))}
+        </select>
       </div>
+      {!isCML && ruleInputError && <div style={controlStyles.errorText}>{ruleInputError}</div>}
+
+      <div style={controlStyles.initialRow}>
+        <label htmlFor="cellCount1D" style={controlStyles.label}>Width:</label>
+        <input
+          type="number"
+          id="cellCount1D"
+          value={cellCountInputValue}
+          onChange={handleCellCountInputChange}
+          onBlur={applyCellCountInput}
+          onKeyDown={handleCellCountKeyDown}
+          min={MIN_CELL_COUNT_1D}
+          max={MAX_CELL_COUNT_1D}
+          style={{...controlStyles.input, ...(!cellCountInputValid && controlStyles.inputError)}}
+          disabled={isRunning || usesAdjacencyList}
+          title={usesAdjacencyList ? 'The width is the number of nodes in the adjacency list' : undefined}
+        />
+        {isCML ? (
+          <>
+            <label style={controlStyles.label}>Initial noise:</label>
+            <input
+              type="range"
+              min="0"
+              max="1"
+              step="0.01"
+              value={cmlSettings.noise}
+              onChange={handleCmlNoiseChange}
+              style={controlStyles.slider}
+              disabled={isRunning}
+            />
+            <span style={{ fontSize: '0.9em' }}>{cmlSettings.noise.toFixed(2)}</span>
+            <label htmlFor="cmlSeed1D" style={controlStyles.label}>Seed:</label>
+            <input
+              type="number"
+              id="cmlSeed1D"
+              value={initialCondition.seed}
+              onChange={handleSeedChange}
+              min="0"
+              style={controlStyles.input}
+              disabled={isRunning}
+            />
+            <button onClick={onNewSeed} disabled={isRunning} style={{...controlStyles.button, ...(isRunning && controlStyles.buttonDisabled)}}>New seed</button>
+          </>
+        ) : (
+          <>
+            <label htmlFor="initialType1D" style={controlStyles.label}>Start:</label>
+            <select id="initialType1D" value={initialCondition.type} onChange={handleInitialTypeChange} style={controlStyles.select} disabled={isRunning}>
+              {Object.entries(INITIAL_CONDITION_NAMES).map(([key, name]) => (
+                <option key={key} value={key}>{name}</option>
+              ))}
+            </select>
+            {initialCondition.type === 'random' && (
+              <>
+                <label style={controlStyles.label}>Density:</label>
+                <input
+                  type="range"
+                  min="0"
+                  max="1"
+                  step="0.01"
+                  value={initialCondition.density}
+                  onChange={handleDensityChange}
+                  style={controlStyles.slider}
+                  disabled={isRunning}
+                />
+                <span style={{ fontSize: '0.9em' }}>{initialCondition.density.toFixed(2)}</span>
+                <label htmlFor="seed1D" style={controlStyles.label}>Seed:</label>
+                <input
+                  type="number"
+                  id="seed1D"
+                  value={initialCondition.seed}
+                  onChange={handleSeedChange}
+                  min="0"
+                  style={controlStyles.input}
+                  disabled={isRunning}
+                />
+                <button onClick={onNewSeed} disabled={isRunning} style={{...controlStyles.button, ...(isRunning && controlStyles.buttonDisabled)}}>New seed</button>
+              </>
+            )}
+            {usesPattern && (
+              <>
+                <label htmlFor="pattern1D" style={controlStyles.label}>Pattern:</label>
+                <input
+                  type="text"
+                  id="pattern1D"
+                  value={patternInputValue}
+                  onChange={handlePatternInputChange}
+                  placeholder={initialCondition.type === 'block' ? 'e.g. 110' : 'paste a row, e.g. 0110100111'}
+                  style={{...controlStyles.patternInput, ...(patternInputError && controlStyles.inputError)}}
+                  disabled={isRunning}
+                />
+              </>
+            )}
+          </>
+        )}
+      </div>
+      {!isCML && patternInputError && <div style={controlStyles.errorText}>{patternInputError}</div>}
+
+      {!isCML && (
+        <div style={controlStyles.initialRow}>
+          <label htmlFor="updateMode1D" style={controlStyles.label}>Update:</label>
+          <select id="updateMode1D" value={updateScheme.mode} onChange={handleUpdateModeChange} style={controlStyles.select} disabled={isRunning}>
+            {UPDATE_MODES_1D.map((mode) => (
+              <option key={mode} value={mode}>{UPDATE_MODE_NAMES[mode].name}</option>
+            ))}
+          </select>
+          {UPDATE_MODE_NAMES[updateScheme.mode].probabilityLabel && (
+            <>
+              <label style={controlStyles.label}>{UPDATE_MODE_NAMES[updateScheme.mode].probabilityLabel}:</label>
+              <input
+                type="range"
+                min="0"
+                max="1"
+                step="0.01"
+                value={updateScheme.probability}
+                onChange={handleUpdateProbabilityChange}
+                style={controlStyles.slider}
+                disabled={isRunning}
+              />
+              <span style={{ fontSize: '0.9em' }}>{updateScheme.probability.toFixed(2)}</span>
+            </>
+          )}
+          {updateScheme.mode !== 'synchronous' && (
+            <>
+              <label htmlFor="updateSeed1D" style={controlStyles.label}>Update seed:</label>
+              <input
+                type="number"
+                id="updateSeed1D"
+                value={updateScheme.seed}
+                onChange={handleUpdateSeedChange}
+                min="0"
+                style={controlStyles.input}
+                disabled={isRunning}
+              />
+              <button onClick={onNewUpdateSeed} disabled={isRunning} style={{...controlStyles.button, ...(isRunning && controlStyles.buttonDisabled)}}>New seed</button>
+            </>
+          )}
+        </div>
+      )}
+
+      {!isCML && (
+        <div style={controlStyles.initialRow}>
+          <label htmlFor="topology1D" style={controlStyles.label}>Topology:</label>
+          <select id="topology1D" value={topologySettings.type} onChange={handleTopologyTypeChange} style={controlStyles.select} disabled={isRunning}>
+            {TOPOLOGY_TYPES_1D.map((type) => (
+              <option key={type} value={type}>{TOPOLOGY_NAMES[type]}</option>
+            ))}
+          </select>
+          {topologySettings.type === 'smallWorld' && (
+            <>
+              <label style={controlStyles.label}>Rewiring p:</label>
+              <input
+                type="range"
+                min="0"
+                max="1"
+                step="0.01"
+                value={topologySettings.probability}
+                onChange={handleRewiringProbabilityChange}
+                style={controlStyles.slider}
+                disabled={isRunning}
+              />
+              <span style={{ fontSize: '0.9em' }}>{topologySettings.probability.toFixed(2)}</span>
+              <label htmlFor="topologySeed1D" style={controlStyles.label}>Graph seed:</label>
+              <input
+                type="number"
+                id="topologySeed1D"
+                value={topologySettings.seed}
+                onChange={handleTopologySeedChange}
+                min="0"
+                style={controlStyles.input}
+                disabled={isRunning}
+              />
+              <button onClick={onNewTopologySeed} disabled={isRunning} style={{...controlStyles.button, ...(isRunning && controlStyles.buttonDisabled)}}>New graph</button>
+            </>
+          )}
+          {topologySettings.type === 'adjacency' && (
+            <>
+              <textarea
+                value={adjacencyInputValue}
+                onChange={(e) => { setAdjacencyInputValue(e.target.value); setAdjacencyReadError(''); }}
+                placeholder={'one line per node: left right\ne.g. 0: 4 1'}
+                rows={4}
+                style={{...controlStyles.patternInput, ...(adjacencyInputError && controlStyles.inputError)}}
+                disabled={isRunning}
+              />
+              <button onClick={handleApplyAdjacency} disabled={isRunning || !parseAdjacencyList(adjacencyInputValue)} style={{...controlStyles.button, ...((isRunning || !parseAdjacencyList(adjacencyInputValue)) && controlStyles.buttonDisabled)}}>Apply</button>
+              <input type="file" accept=".txt,.csv,text/plain" onChange={handleAdjacencyFileChange} disabled={isRunning} />
+            </>
+          )}
+        </div>
+      )}
+      {!isCML && adjacencyInputError && <div style={controlStyles.errorText}>{adjacencyInputError}</div>}
     </div>
   );
 };
@@ -1,4 +1,26 @@
-import React from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  parseRule2D,
+  ruleToString2D,
+  getRuleDefinition2D,
+  getLtLNeighborhoodSize,
+  getNeighborhoodOffsets2D,
+  RULE_DEFINITIONS,
+  NEIGHBORHOOD_TYPES_2D,
+  CUSTOM_MASK_SIZES_2D,
+  HEX_CLASS_LETTERS,
+  HEX_NEIGHBOR_COUNT,
+  MOORE_CLASS_LETTERS,
+  NEIGHBORHOOD_OFFSETS_2D,
+  isIsotropicRule2D,
+  MAX_STATES_2D,
+  MAX_LTL_RANGE,
+  MAX_CYCLIC_STATES,
+  WIREWORLD_STATES
+} from '../automataLogic2D.js';
+import { WIREWORLD_LIBRARY_2D } from '../wireworldLibrary2D.js';
+import { MAX_TURMITE_ANTS, MAX_TURMITE_COLORS } from '../turmites2D.js';
+import { CONTINUOUS_MODELS_2D, CONTINUOUS_GRID_SIZES_2D, LENIA_SPECIES_2D } from '../continuousAutomata2D.js';
 
 const RULE_NAMES = {
   'conway': "Conway's Game of Life (B3/S23)",
@@ -9,9 +31,118 @@ const RULE_NAMES = {
   'lifewithoutdeath': "Life Without Death (B3/S012345678)",
   'replicator': "Replicator (B1357/S1357)",
   '2x2': "2x2 (B36/S125)",
-  'briansbrain': "Brian's Brain (3-state)"
+  'briansbrain': "Brian's Brain (/2/3)",
+  'starwars': "Star Wars (345/2/4)",
+  'tlife': "tlife (B3/S2-i34q)",
+  'justfriends': "Just Friends (B2-a/S12)",
+  'hexlife': "Hex Life (B2/S34H)",
+  'hexisotropic': "Isotropic Hex Life (B2o/S2m34H)",
+  'hexbrain': "Hex Brian's Brain (B2/S/C3H)",
+  'cyclic313': "313 (cyclic, R1/T3/C3/NM)",
+  'cyclic14': "Cyclic CA, 14 colors (R1/T1/C14/NN)",
+  'cyclicspirals': "Cyclic spirals (R3/T5/C8/NM)",
+  'greenberghastings': "Greenberg-Hastings (R1/T1/C3/NN/GH)",
+  'greenberghastings8': "Greenberg-Hastings, 8 states (R1/T1/C8/NN/GH)",
+  'wireworld': "WireWorld (4 states)",
+  'langtonsant': "Langton's ant (RL)",
+  'llrr': "Turmite LLRR",
+  'lrrrrrllr': "Turmite LRRRRRLLR",
+  'llrrrlrlrllr': "Turmite LLRRRLRLRLLR",
+  'rrlllrlllrrr': "Turmite RRLLLRLLLRRR",
+  'turmite2state': "2-state turmite {{{1,8,1},{1,8,1}},{{1,2,1},{0,1,0}}}",
+  'bugs': "Bugs (LtL R5,C0,M1,S34..58,B34..45,NM)",
+  'bosco': "Bosco's Rule (LtL R5,C0,M1,S33..57,B34..45,NM)",
+  'majority': "Majority (LtL R4,C0,M1,S41..81,B41..81,NM)",
+  'custom': 'Custom rule'
 };
 
+const GRID_SIZES = [50, 100, 200];
+const CELL_TYPE_NAMES = { discrete: 'Discrete states', continuous: 'Continuous (Lenia, SmoothLife)' };
+const COLORMAP_NAMES = { grayscale: 'Grayscale', viridis: 'Viridis' };
+const MAX_CONTINUOUS_RADIUS = 40;
+const MAX_LENIA_PEAKS = 4;
+const MASK_CELL_SIZE = 18; // px per cell of the custom neighborhood editor
+const NO_CLASS_LETTERS = {};
+
+// Presets by lattice; switching lattice loads the first preset of the other one
+const LATTICE_PRESETS = {
+  square: Object.keys(RULE_NAMES).filter((key) => RULE_DEFINITIONS[key] && !RULE_DEFINITIONS[key].hex),
+  hex: Object.keys(RULE_NAMES).filter((key) => RULE_DEFINITIONS[key]?.hex)
+};
+const LATTICE_NAMES = { square: 'Square', hex: 'Hexagonal' };
+
+const NEIGHBORHOOD_NAMES = {
+  'moore': 'Moore (8 neighbors)',
+  'vonNeumann': 'von Neumann (4 neighbors)',
+  'hex': 'Hexagonal (6 neighbors)',
+  'custom': 'Custom mask'
+};
+
+// States a WireWorld click can paint (clicking a cell already in that state empties it)
+const WIREWORLD_PAINT_NAMES = {
+  [WIREWORLD_STATES.CONDUCTOR]: 'Conductor',
+  [WIREWORLD_STATES.HEAD]: 'Electron head',
+  [WIREWORLD_STATES.TAIL]: 'Electron tail'
+};
+
+const TURMITE_STEPS_PER_TICK = [1, 10, 100, 1000, 10000, 100000, 1000000];
+const DEFAULT_TURMITE_JUMP_STEPS = 1000000;
+
+const LTL_NEIGHBORHOOD_NAMES = {
+  'moore': 'Moore (square)',
+  'vonNeumann': 'von Neumann (diamond)'
+};
+
+// Kernel peak heights as typed ('1' or '0.5, 1, 0.667'): 1-MAX_LENIA_PEAKS values in [0, 1], not all 0; null if invalid
+const parseLeniaPeaks = (text) => {
+  const peaks = text.split(/[\s,]+/).filter(Boolean).map(Number);
+  const isValid = peaks.length >= 1 && peaks.length <= MAX_LENIA_PEAKS
+    && peaks.every((peak) => !isNaN(peak) && peak >= 0 && peak <= 1) && peaks.some((peak) => peak > 0);
+  return isValid ? peaks : null;
+};
+
+// Preset matching a rule (by its birth/survival sets), or 'custom'
+const findPresetKey = (ruleName, maxCount) => {
+  if (RULE_DEFINITIONS[ruleName]) return ruleName;
+  const rule = parseRule2D(ruleName, maxCount);
+  if (!rule) return 'custom';
+  const notation = ruleToString2D(rule);
+  const preset = Object.entries(RULE_DEFINITIONS).find(([, definition]) => ruleToString2D(definition) === notation);
+  return preset ? preset[0] : 'custom';
+};
+
+// What a rule in the notation family the text looks like should be, for the error under the rule input
+// (RULE_SYNTAX_HELP below lists every notation)
+const describeRuleSyntax = (text, neighborhoodSize) => {
+  const rule = text.replace(/\s+/g, '');
+  if (/^R\d+\/T/i.test(rule)) {
+    return `Cyclic rules look like R1/T3/C3/NM: range 1-${MAX_LTL_RANGE}, a threshold the neighborhood can reach, 2-${MAX_CYCLIC_STATES} states, NM or NN, and a final /GH for Greenberg-Hastings (3 states or more)`;
+  }
+  if (/^R\d/i.test(rule)) {
+    return `Larger than Life rules look like R5,C0,M1,S34..58,B34..45,NM: range 1-${MAX_LTL_RANGE}, with counts the neighborhood can reach`;
+  }
+  if (rule.startsWith('{')) return 'Turmite tables look like {{{1,2,0},{0,8,0}}}: for each ant state, one {write, turn, next state} per color, with turns 1, 2, 4 or 8';
+  if (/^[LRNU]+$/i.test(rule)) return `Turmites given as turns need one of L, R, N or U per color, 2-${MAX_TURMITE_COLORS} colors`;
+  if (/h$/i.test(rule)) return `Hex rules count 0-${HEX_NEIGHBOR_COUNT} neighbors, with classes o, m, p for 2-4 neighbors, e.g. B2o/S2m34H`;
+  if (/\/[CcGg]?\d+$/.test(rule) && /^[BbSs]|\/.*\//.test(rule)) {
+    return `Generations rules look like B2/S345/C4 or 345/2/4, with 2-${MAX_STATES_2D} states and no B0`;
+  }
+  if (/\d-?[ad-fi-rt-z]/i.test(rule)) return 'Hensel letters split Moore counts 1-7 by configuration, e.g. B2-a/S12 or B3/S2-i34q';
+  return `Rule must be in B/S notation with neighbor counts 0-${neighborhoodSize}, e.g. B36/S23, S23B3 or 23/3 (comma-separated above 9)`;
+};
+
+// Every rule notation the input takes, shown under the rule input on request
+const RULE_SYNTAX_HELP = [
+  ['B/S', 'B36/S23, S23B3 or 23/3 (survival/birth); counts above 9 comma-separated, B3,10/S2,3'],
+  ['Generations', 'B2/S345/C4 or 345/2/4'],
+  ['Hensel (isotropic)', 'B2-a/S12, B3/S2-i34q'],
+  ['Hexagonal', 'B2/S34H, B2o/S2m34H'],
+  ['Larger than Life', 'R5,C0,M1,S34..58,B34..45,NM'],
+  ['Cyclic', 'R1/T3/C3/NM, or R1/T3/C3/NM/GH for Greenberg-Hastings'],
+  ['WireWorld', 'WireWorld'],
+  ['Turmites', 'RL, LLRR or {{{1,2,0},{0,8,0}}}']
+];
+
 const Controls2D = ({ 
   onStart, 
   onPause, 
@@ -19,9 +150,69 @@ const Controls2D = ({
   isRunning, 
   currentRule = 'conway', 
   onRuleChange,
+  neighborhood = { type: 'moore', maskSize: 5, mask: [] },
+  onNeighborhoodChange,
   simulationSpeed = 200,
-  onSpeedChange
+  onSpeedChange,
+  gridSize = 50,
+  onGridSizeChange,
+  onRandomFill,
+  paintState = WIREWORLD_STATES.CONDUCTOR,
+  onPaintStateChange,
+  onLoadWireWorldPattern,
+  antCount = 1,
+  onAntCountChange,
+  turmiteStepsPerTick = 100,
+  onTurmiteStepsPerTickChange,
+  onTurmiteJump,
+  cellType = 'discrete',
+  onCellTypeChange,
+  continuousSettings,
+  onContinuousSettingsChange,
+  onLoadLeniaSpecies
 }) => {
+  const isContinuous = cellType === 'continuous';
+  const neighborhoodSize = getNeighborhoodOffsets2D(neighborhood).length;
+  // Continuous grids don't use the rule, so none of its controls show
+  const currentDefinition = isContinuous ? null : getRuleDefinition2D(currentRule, neighborhoodSize);
+  const isLtL = Boolean(currentDefinition && currentDefinition.family === 'ltl');
+  const isHex = Boolean(currentDefinition && currentDefinition.hex);
+  const isWireWorld = Boolean(currentDefinition && currentDefinition.family === 'wireworld');
+  const isTurmite = Boolean(currentDefinition && currentDefinition.family === 'turmite');
+  const isCyclic = Boolean(currentDefinition && currentDefinition.family === 'cyclic');
+  const isCountRule = Boolean(currentDefinition && !currentDefinition.family); // Birth/survival counts: not LtL, cyclic, WireWorld or turmites
+  const [leniaSpeciesKey, setLeniaSpeciesKey] = useState(Object.keys(LENIA_SPECIES_2D)[0]);
+  const leniaPeaks = continuousSettings ? continuousSettings.lenia.peaks.map((peak) => +peak.toFixed(3)).join(', ') : '';
+  const [leniaPeaksValue, setLeniaPeaksValue] = useState(leniaPeaks);
+  const [wireWorldPatternKey, setWireWorldPatternKey] = useState(WIREWORLD_LIBRARY_2D[0].key);
+  const wireWorldPattern = WIREWORLD_LIBRARY_2D.find(({ key }) => key === wireWorldPatternKey);
+  const [turmiteJumpSteps, setTurmiteJumpSteps] = useState(DEFAULT_TURMITE_JUMP_STEPS);
+  const isIsotropic = isIsotropicRule2D(currentDefinition);
+  const neighborCount = isHex ? HEX_NEIGHBOR_COUNT : (isIsotropic ? NEIGHBORHOOD_OFFSETS_2D.moore.length : neighborhoodSize);
+  const [showHenselClasses, setShowHenselClasses] = useState(false);
+  const canShowHenselClasses = isCountRule && !isHex && (isIsotropic || neighborhood.type === 'moore');
+  // Class letters shown next to the counts: always for hex rules, and on request (or when in use) for Hensel ones
+  const classLetters = isHex ? HEX_CLASS_LETTERS : (canShowHenselClasses && (isIsotropic || showHenselClasses) ? MOORE_CLASS_LETTERS : NO_CLASS_LETTERS);
+  const neighborCounts = Array.from({ length: neighborCount + 1 }, (_, n) => n); // 0-N
+  const currentNotation = currentDefinition ? ruleToString2D(currentDefinition) : '';
+  const [ruleInputValue, setRuleInputValue] = useState(currentNotation);
+
+  useEffect(() => {
+    // Leave the text alone while it already denotes the current rule, so e.g. '345/2/4' isn't rewritten mid-typing
+    setRuleInputValue((prevValue) => {
+      const parsed = parseRule2D(prevValue, neighborhoodSize);
+      return parsed && ruleToString2D(parsed) === currentNotation ? prevValue : currentNotation;
+    });
+  }, [currentNotation, neighborhoodSize]);
+
+  useEffect(() => {
+    // Same for the Lenia peaks, so e.g. '1,' isn't rewritten mid-typing
+    setLeniaPeaksValue((prevValue) => {
+      const parsed = parseLeniaPeaks(prevValue);
+      return parsed && parsed.map((peak) => +peak.toFixed(3)).join(', ') === leniaPeaks ? prevValue : leniaPeaks;
+    });
+  }, [leniaPeaks]);
+
   // Basic inline styles or use a CSS module
   const controlStyles = { 
     controlsContainer: { display: 'flex', alignItems: 'center', gap: '10px', padding: '10px', marginBottom: '20px', flexWrap: 'wrap', justifyContent: 'center' },
@@ -29,16 +220,153 @@ const Controls2D = ({
     buttonDisabled: { backgroundColor: '#6c757d' },
     ruleText: { fontSize: '1em', color: '#333', fontWeight: 'bold' },
     select: { padding: '8px 15px', borderRadius: '4px', marginLeft: '10px' },
+    input: { width: '140px', padding: '8px', border: '1px solid #ccc', borderRadius: '4px', marginLeft: '10px', fontFamily: 'monospace' },
+    inputError: { borderColor: '#dc3545' },
+    errorText: { flexBasis: '100%', textAlign: 'center', fontSize: '0.85em', color: '#dc3545' },
+    syntaxHelp: { flexBasis: '100%', textAlign: 'center', fontSize: '0.85em', color: '#555' },
+    countsRow: { display: 'flex', alignItems: 'center', gap: '6px', flexBasis: '100%', justifyContent: 'center', fontSize: '0.9em' },
+    countsLabel: { minWidth: '70px', textAlign: 'right' },
+    classLetters: { fontSize: '0.85em', color: '#555', marginLeft: '2px' },
     controlGroup: { display: 'flex', alignItems: 'center', gap: '10px', marginLeft: '10px' },
     slider: { width: '100px' },
     sliderLabel: { fontSize: '0.9em', color: '#333', minWidth: '100px', textAlign: 'right' }
   };
   
   const handleRuleChange = (e) => {
-    if (onRuleChange) {
+    if (onRuleChange && e.target.value !== 'custom') {
       onRuleChange(e.target.value);
     }
   };
+
+  const handleRuleInputChange = useCallback((event) => {
+    const value = event.target.value;
+    setRuleInputValue(value);
+    const parsed = parseRule2D(value, neighborhoodSize);
+    if (parsed && onRuleChange) onRuleChange(ruleToString2D(parsed));
+  }, [neighborhoodSize, onRuleChange]);
+
+  const handleLatticeChange = useCallback((event) => {
+    if (onRuleChange) onRuleChange(LATTICE_PRESETS[event.target.value][0]);
+  }, [onRuleChange]);
+
+  // Toggle one neighbor count in the birth or survival set (taking it whole drops any classes it had)
+  const handleCountToggle = useCallback((key, count) => {
+    if (!currentDefinition || !onRuleChange) return;
+    const counts = currentDefinition[key];
+    const newCounts = counts.includes(count) ? counts.filter((n) => n !== count) : [...counts, count].sort((a, b) => a - b);
+    const classesKey = `${key}Classes`;
+    const newClasses = Object.fromEntries(Object.entries(currentDefinition[classesKey]).filter(([n]) => Number(n) !== count));
+    onRuleChange(ruleToString2D({ ...currentDefinition, [key]: newCounts, [classesKey]: newClasses }));
+  }, [currentDefinition, onRuleChange]);
+
+  // Classes of a count the birth or survival set takes, all of them if it takes the count whole
+  const getTakenClasses = (key, count) => (
+    currentDefinition[key].includes(count) ? classLetters[count] : (currentDefinition[`${key}Classes`][count] || '')
+  );
+
+  // Toggle one class of a count; a count with all its classes taken is taken whole
+  const handleClassToggle = useCallback((key, count, letter) => {
+    if (!currentDefinition || !onRuleChange) return;
+    const allLetters = classLetters[count];
+    const taken = currentDefinition[key].includes(count) ? allLetters : (currentDefinition[`${key}Classes`][count] || '');
+    const letters = [...allLetters].filter((l) => (l === letter ? !taken.includes(l) : taken.includes(l))).join('');
+    const classesKey = `${key}Classes`;
+    const newCounts = currentDefinition[key].filter((n) => n !== count);
+    const newClasses = Object.fromEntries(Object.entries(currentDefinition[classesKey]).filter(([n]) => Number(n) !== count));
+    if (letters === allLetters) newCounts.push(count);
+    else if (letters !== '') newClasses[count] = letters;
+    onRuleChange(ruleToString2D({ ...currentDefinition, [key]: newCounts.sort((a, b) => a - b), [classesKey]: newClasses }));
+  }, [currentDefinition, classLetters, onRuleChange]);
+
+  // 2 states is a Life-like rule; more turns it into a Generations rule with that many states
+  const handleStatesChange = useCallback((event) => {
+    const states = parseInt(event.target.value, 10);
+    if (!currentDefinition || !onRuleChange || isNaN(states) || states < 2 || states > MAX_STATES_2D) return;
+    if (states > 2 && !isLtL && currentDefinition.birth.includes(0)) return; // Generations rules can't have B0
+    onRuleChange(ruleToString2D({ ...currentDefinition, states }));
+  }, [currentDefinition, isLtL, onRuleChange]);
+
+  const handleAntCountChange = useCallback((event) => {
+    const count = parseInt(event.target.value, 10);
+    if (!isNaN(count) && count >= 1 && count <= MAX_TURMITE_ANTS && onAntCountChange) onAntCountChange(count);
+  }, [onAntCountChange]);
+
+  const handleTurmiteJumpStepsChange = useCallback((event) => {
+    const steps = parseInt(event.target.value, 10);
+    if (!isNaN(steps) && steps >= 1) setTurmiteJumpSteps(steps);
+  }, []);
+
+  // Larger than Life parameters; the intervals are clipped to the largest count the new neighborhood allows
+  const handleLtLChange = useCallback((changes) => {
+    if (!isLtL || !onRuleChange) return;
+    const rule = { ...currentDefinition, ...changes };
+    const maxCount = getLtLNeighborhoodSize(rule.range, rule.neighborhood) + (rule.middle ? 1 : 0);
+    const clip = ([min, max]) => [Math.min(min, maxCount), Math.min(max, maxCount)];
+    const notation = ruleToString2D({ ...rule, survivalRange: clip(rule.survivalRange), birthRange: clip(rule.birthRange) });
+    if (parseRule2D(notation)) onRuleChange(notation);
+  }, [isLtL, currentDefinition, onRuleChange]);
+
+  // Cyclic parameters; the threshold is clipped to the new neighborhood and Greenberg-Hastings keeps 3 states or more
+  const handleCyclicChange = useCallback((changes) => {
+    if (!isCyclic || !onRuleChange) return;
+    const rule = { ...currentDefinition, ...changes };
+    const threshold = Math.min(rule.threshold, getLtLNeighborhoodSize(rule.range, rule.neighborhood));
+    const states = rule.greenbergHastings ? Math.max(3, rule.states) : rule.states;
+    const notation = ruleToString2D({ ...rule, threshold, states });
+    if (parseRule2D(notation)) onRuleChange(notation);
+  }, [isCyclic, currentDefinition, onRuleChange]);
+
+  const handleCyclicNumberChange = useCallback((key) => (event) => {
+    const value = parseInt(event.target.value, 10);
+    if (!isNaN(value)) handleCyclicChange({ [key]: value });
+  }, [handleCyclicChange]);
+
+  // Lenia and SmoothLife parameters: `key` of the model's parameters, or `index` of an interval, taken if the typed
+  // number lies in [min, max]
+  const handleContinuousNumberChange = useCallback((model, key, min, max, index = null) => (event) => {
+    const value = parseFloat(event.target.value);
+    if (isNaN(value) || value < min || value > max || !onContinuousSettingsChange) return;
+    const parameters = continuousSettings[model];
+    const newValue = index === null ? value : parameters[key].map((bound, i) => (i === index ? value : bound));
+    onContinuousSettingsChange({ [model]: { ...parameters, [key]: newValue } });
+  }, [continuousSettings, onContinuousSettingsChange]);
+
+  const handleLeniaPeaksChange = useCallback((event) => {
+    const value = event.target.value;
+    setLeniaPeaksValue(value);
+    const peaks = parseLeniaPeaks(value);
+    if (peaks && onContinuousSettingsChange) onContinuousSettingsChange({ lenia: { ...continuousSettings.lenia, peaks } });
+  }, [continuousSettings, onContinuousSettingsChange]);
+
+  const handleNeighborhoodTypeChange = useCallback((event) => {
+    if (onNeighborhoodChange) onNeighborhoodChange({ ...neighborhood, type: event.target.value });
+  }, [neighborhood, onNeighborhoodChange]);
+
+  // A smaller editor drops the mask cells that no longer fit on it
+  const handleMaskSizeChange = useCallback((event) => {
+    const maskSize = parseInt(event.target.value, 10);
+    const reach = (maskSize - 1) / 2;
+    const mask = neighborhood.mask.filter(([dr, dc]) => Math.abs(dr) <= reach && Math.abs(dc) <= reach);
+    if (onNeighborhoodChange) onNeighborhoodChange({ ...neighborhood, maskSize, mask });
+  }, [neighborhood, onNeighborhoodChange]);
+
+  const handleMaskCellToggle = useCallback((dr, dc) => {
+    const inMask = neighborhood.mask.some(([r, c]) => r === dr && c === dc);
+    const mask = inMask ? neighborhood.mask.filter(([r, c]) => r !== dr || c !== dc) : [...neighborhood.mask, [dr, dc]];
+    if (onNeighborhoodChange) onNeighborhoodChange({ ...neighborhood, mask });
+  }, [neighborhood, onNeighborhoodChange]);
+
+  const handleLtLIntervalChange = useCallback((key, index) => (event) => {
+    const value = parseInt(event.target.value, 10);
+    if (isNaN(value) || value < 0) return;
+    const interval = [...currentDefinition[key]];
+    interval[index] = value;
+    handleLtLChange({ [key]: interval });
+  }, [currentDefinition, handleLtLChange]);
+
+  const ruleInputError = ruleInputValue !== '' && !parseRule2D(ruleInputValue, neighborhoodSize)
+    ? describeRuleSyntax(ruleInputValue, neighborhoodSize)
+    : '';
   
   const handleSpeedChange = (e) => {
     const newSpeed = parseInt(e.target.value, 10);
@@ -53,19 +381,34 @@ const Controls2D = ({
       <button onClick={onPause} disabled={!isRunning} style={{...controlStyles.button, ...(!isRunning && controlStyles.buttonDisabled)}}>Pause</button>
       <button onClick={onReset} style={controlStyles.button}>Reset</button>
       
-      <div>
-        <label style={controlStyles.ruleText}>Rule:</label>
-        <select 
-          value={currentRule} 
-          onChange={handleRuleChange} 
-          style={controlStyles.select}
-          disabled={isRunning}
-        >
-          {Object.entries(RULE_NAMES).map(([key, name]) => (
-            <option key={key} value={key}>{name}</option>
-          ))}
-        </select>
-      </div>
+      {!isContinuous && (
+        <div>
+          <label style={controlStyles.ruleText}>Rule:</label>
+          <select 
+            value={findPresetKey(currentRule, neighborhoodSize)} 
+            onChange={handleRuleChange} 
+            style={controlStyles.select}
+            disabled={isRunning}
+          >
+            {Object.entries(LATTICE_PRESETS).map(([lattice, keys]) => (
+              <optgroup key={lattice} label={`${LATTICE_NAMES[lattice]} grid`}>
+                {keys.map((key) => (
+                  <option key={key} value={key}>{RULE_NAMES[key]}</option>
+                ))}
+              </optgroup>
+            ))}
+            <option value="custom" disabled>{RULE_NAMES.custom}</option>
+          </select>
+          <input
+            type="text"
+            value={ruleInputValue}
+            onChange={handleRuleInputChange}
+            placeholder="e.g. B36/S23"
+            style={{...controlStyles.input, ...(ruleInputError && controlStyles.inputError)}}
+            disabled={isRunning}
+          />
+        </div>
+      )}
       
       <div style={controlStyles.controlGroup}>
         <label style={controlStyles.sliderLabel}>Speed:</label>
@@ -82,6 +425,339 @@ const Controls2D = ({
           {simulationSpeed}ms
         </span>
       </div>
+      {ruleInputError && <div style={controlStyles.errorText}>{ruleInputError}</div>}
+      {!isContinuous && (
+        <details style={controlStyles.syntaxHelp}>
+          <summary>Rule notations</summary>
+          {RULE_SYNTAX_HELP.map(([name, examples]) => (
+            <div key={name}>{name}: <code>{examples}</code></div>
+          ))}
+        </details>
+      )}
+
+      <div style={controlStyles.countsRow}>
+        <label>
+          Cells:{' '}
+          <select value={cellType} onChange={(e) => onCellTypeChange(e.target.value)} disabled={isRunning}>
+            {Object.entries(CELL_TYPE_NAMES).map(([type, name]) => (
+              <option key={type} value={type}>{name}</option>
+            ))}
+          </select>
+        </label>
+        <label>
+          Grid:{' '}
+          <select value={gridSize} onChange={(e) => onGridSizeChange(parseInt(e.target.value, 10))} disabled={isRunning}>
+            {(isContinuous ? CONTINUOUS_GRID_SIZES_2D : GRID_SIZES).map((size) => (
+              <option key={size} value={size}>{size} x {size}</option>
+            ))}
+          </select>
+        </label>
+        <button onClick={onRandomFill} disabled={isRunning} style={{...controlStyles.button, ...(isRunning && controlStyles.buttonDisabled)}}>Random fill</button>
+        {!isContinuous && (
+          <label>
+            Lattice:{' '}
+            <select value={isHex ? 'hex' : 'square'} onChange={handleLatticeChange} disabled={isRunning}>
+              {Object.entries(LATTICE_NAMES).map(([lattice, name]) => (
+                <option key={lattice} value={lattice}>{name}</option>
+              ))}
+            </select>
+          </label>
+        )}
+      </div>
+
+      {isContinuous && continuousSettings && (
+        <div style={controlStyles.countsRow}>
+          <label>
+            Model:{' '}
+            <select value={continuousSettings.model} onChange={(e) => onContinuousSettingsChange({ model: e.target.value })} disabled={isRunning}>
+              {Object.entries(CONTINUOUS_MODELS_2D).map(([model, name]) => (
+                <option key={model} value={model}>{name}</option>
+              ))}
+            </select>
+          </label>
+          {continuousSettings.model === 'lenia' ? (
+            <>
+              <label>
+                R:{' '}
+                <input type="number" min="1" max={MAX_CONTINUOUS_RADIUS} step="1" value={continuousSettings.lenia.radius} onChange={handleContinuousNumberChange('lenia', 'radius', 1, MAX_CONTINUOUS_RADIUS)} style={{ width: '50px' }} />
+              </label>
+              <label>
+                μ:{' '}
+                <input type="number" min="0" max="1" step="0.001" value={continuousSettings.lenia.mu} onChange={handleContinuousNumberChange('lenia', 'mu', 0, 1)} style={{ width: '65px' }} />
+              </label>
+              <label>
+                σ:{' '}
+                <input type="number" min="0.001" max="1" step="0.001" value={continuousSettings.lenia.sigma} onChange={handleContinuousNumberChange('lenia', 'sigma', 0.001, 1)} style={{ width: '65px' }} />
+              </label>
+              <label>
+                Peaks:{' '}
+                <input type="text" value={leniaPeaksValue} onChange={handleLeniaPeaksChange} placeholder="e.g. 0.5, 1, 0.667" style={{ width: '110px', fontFamily: 'monospace', ...(!parseLeniaPeaks(leniaPeaksValue) && controlStyles.inputError) }} />
+              </label>
+              <label>
+                dt:{' '}
+                <input type="number" min="0.01" max="1" step="0.01" value={continuousSettings.lenia.dt} onChange={handleContinuousNumberChange('lenia', 'dt', 0.01, 1)} style={{ width: '60px' }} />
+              </label>
+              <label>
+                Species:{' '}
+                <select value={leniaSpeciesKey} onChange={(e) => setLeniaSpeciesKey(e.target.value)} disabled={isRunning}>
+                  {Object.entries(LENIA_SPECIES_2D).map(([key, { name }]) => (
+                    <option key={key} value={key}>{name}</option>
+                  ))}
+                </select>
+              </label>
+              <button onClick={() => onLoadLeniaSpecies(leniaSpeciesKey)} disabled={isRunning} style={{...controlStyles.button, ...(isRunning && controlStyles.buttonDisabled)}}>Load species</button>
+            </>
+          ) : (
+            <>
+              <label>
+                Radii:{' '}
+                <input type="number" min="1" max={continuousSettings.smoothLife.outerRadius - 1} step="1" value={continuousSettings.smoothLife.innerRadius} onChange={handleContinuousNumberChange('smoothLife', 'innerRadius', 1, continuousSettings.smoothLife.outerRadius - 1)} style={{ width: '50px' }} />
+                {' '}/{' '}
+                <input type="number" min={continuousSettings.smoothLife.innerRadius + 1} max={MAX_CONTINUOUS_RADIUS} step="1" value={continuousSettings.smoothLife.outerRadius} onChange={handleContinuousNumberChange('smoothLife', 'outerRadius', continuousSettings.smoothLife.innerRadius + 1, MAX_CONTINUOUS_RADIUS)} style={{ width: '50px' }} />
+              </label>
+              {[['birth', 'Birth'], ['death', 'Survival']].map(([key, label]) => (
+                <span key={key}>
+                  {label}:{' '}
+                  <input type="number" min="0" max="1" step="0.001" value={continuousSettings.smoothLife[key][0]} onChange={handleContinuousNumberChange('smoothLife', key, 0, 1, 0)} style={{ width: '65px' }} />
+                  {' '}..{' '}
+                  <input type="number" min="0" max="1" step="0.001" value={continuousSettings.smoothLife[key][1]} onChange={handleContinuousNumberChange('smoothLife', key, 0, 1, 1)} style={{ width: '65px' }} />
+                </span>
+              ))}
+              <label>
+                αn:{' '}
+                <input type="number" min="0.001" max="1" step="0.001" value={continuousSettings.smoothLife.alphaN} onChange={handleContinuousNumberChange('smoothLife', 'alphaN', 0.001, 1)} style={{ width: '65px' }} />
+              </label>
+              <label>
+                αm:{' '}
+                <input type="number" min="0.001" max="1" step="0.001" value={continuousSettings.smoothLife.alphaM} onChange={handleContinuousNumberChange('smoothLife', 'alphaM', 0.001, 1)} style={{ width: '65px' }} />
+              </label>
+              <label>
+                dt:{' '}
+                <input type="number" min="0.01" max="1" step="0.01" value={continuousSettings.smoothLife.dt} onChange={handleContinuousNumberChange('smoothLife', 'dt', 0.01, 1)} style={{ width: '60px' }} />
+              </label>
+            </>
+          )}
+          <label>
+            Colors:{' '}
+            <select value={continuousSettings.colormap} onChange={(e) => onContinuousSettingsChange({ colormap: e.target.value })}>
+              {Object.entries(COLORMAP_NAMES).map(([colormap, name]) => (
+                <option key={colormap} value={colormap}>{name}</option>
+              ))}
+            </select>
+          </label>
+          <span style={{ flexBasis: '100%', textAlign: 'center' }}>
+            {continuousSettings.model === 'lenia'
+              ? 'Cells hold values from 0 to 1. Each step adds dt times the growth 2 exp(-(U - μ)² / 2σ²) - 1 of the potential U, a weighted average over rings of radius R (one per kernel peak). Reset reloads the last species; Random fill seeds a patch of noise.'
+              : 'Cells hold values from 0 to 1. A cell moves dt of the way towards the value its inner disk and the ring around it give: born where the ring is filled between the birth bounds, kept alive between the survival bounds (αn and αm smooth the edges). Random fill scatters filled squares.'}
+            {' '}Parameters apply from the next step on, so they can be tuned while running.
+          </span>
+        </div>
+      )}
+
+      {isCountRule && !isHex && !isIsotropic && (
+        <div style={controlStyles.countsRow}>
+          <label>
+            Neighborhood:{' '}
+            <select value={neighborhood.type} onChange={handleNeighborhoodTypeChange} disabled={isRunning}>
+              {NEIGHBORHOOD_TYPES_2D.map((type) => (
+                <option key={type} value={type}>{NEIGHBORHOOD_NAMES[type]}</option>
+              ))}
+            </select>
+          </label>
+          {canShowHenselClasses && (
+            <label>
+              <input type="checkbox" checked={showHenselClasses} onChange={(e) => setShowHenselClasses(e.target.checked)} />
+              {' '}Split counts by configuration (Hensel letters)
+            </label>
+          )}
+          {neighborhood.type === 'custom' && (
+            <>
+              <select value={neighborhood.maskSize} onChange={handleMaskSizeChange} disabled={isRunning}>
+                {CUSTOM_MASK_SIZES_2D.map((size) => (
+                  <option key={size} value={size}>{size} x {size}</option>
+                ))}
+              </select>
+              <span>{neighborCount} neighbor{neighborCount === 1 ? '' : 's'}</span>
+            </>
+          )}
+        </div>
+      )}
+      {isCountRule && !isHex && !isIsotropic && neighborhood.type === 'custom' && (
+        <div style={controlStyles.countsRow}>
+          <div style={{ display: 'grid', gridTemplateColumns: `repeat(${neighborhood.maskSize}, ${MASK_CELL_SIZE}px)`, gap: '1px', backgroundColor: '#ccc', border: '1px solid #ccc' }}>
+            {Array.from({ length: neighborhood.maskSize * neighborhood.maskSize }, (_, index) => {
+              const reach = (neighborhood.maskSize - 1) / 2;
+              const dr = Math.floor(index / neighborhood.maskSize) - reach;
+              const dc = (index % neighborhood.maskSize) - reach;
+              const isCenter = dr === 0 && dc === 0;
+              const inMask = neighborhood.mask.some(([r, c]) => r === dr && c === dc);
+              return (
+                <div
+                  key={index}
+                  onClick={isCenter || isRunning ? undefined : () => handleMaskCellToggle(dr, dc)}
+                  title={isCenter ? 'The cell itself' : `Offset (${dr}, ${dc})`}
+                  style={{
+                    width: `${MASK_CELL_SIZE}px`,
+                    height: `${MASK_CELL_SIZE}px`,
+                    backgroundColor: isCenter ? '#dc3545' : (inMask ? '#28a745' : 'white'),
+                    cursor: isCenter || isRunning ? 'default' : 'pointer'
+                  }}
+                />
+              );
+            })}
+          </div>
+        </div>
+      )}
+
+      {isLtL && (
+        <div style={controlStyles.countsRow}>
+          <label>
+            Range:{' '}
+            <input type="number" min="1" max={MAX_LTL_RANGE} value={currentDefinition.range} onChange={(e) => handleLtLChange({ range: parseInt(e.target.value, 10) })} style={{ width: '50px' }} disabled={isRunning} />
+          </label>
+          <select value={currentDefinition.neighborhood} onChange={(e) => handleLtLChange({ neighborhood: e.target.value })} disabled={isRunning}>
+            {Object.entries(LTL_NEIGHBORHOOD_NAMES).map(([key, name]) => (
+              <option key={key} value={key}>{name}</option>
+            ))}
+          </select>
+          <label>
+            <input type="checkbox" checked={currentDefinition.middle} onChange={(e) => handleLtLChange({ middle: e.target.checked })} disabled={isRunning} />
+            {' '}Count the cell itself
+          </label>
+          {[['survivalRange', 'Survival'], ['birthRange', 'Birth']].map(([key, label]) => (
+            <span key={key}>
+              {label}:{' '}
+              <input type="number" min="0" value={currentDefinition[key][0]} onChange={handleLtLIntervalChange(key, 0)} style={{ width: '55px' }} disabled={isRunning} />
+              {' '}..{' '}
+              <input type="number" min="0" value={currentDefinition[key][1]} onChange={handleLtLIntervalChange(key, 1)} style={{ width: '55px' }} disabled={isRunning} />
+            </span>
+          ))}
+        </div>
+      )}
+
+      {isCyclic && (
+        <div style={controlStyles.countsRow}>
+          <label>
+            Range:{' '}
+            <input type="number" min="1" max={MAX_LTL_RANGE} value={currentDefinition.range} onChange={handleCyclicNumberChange('range')} style={{ width: '50px' }} disabled={isRunning} />
+          </label>
+          <select value={currentDefinition.neighborhood} onChange={(e) => handleCyclicChange({ neighborhood: e.target.value })} disabled={isRunning}>
+            {Object.entries(LTL_NEIGHBORHOOD_NAMES).map(([key, name]) => (
+              <option key={key} value={key}>{name}</option>
+            ))}
+          </select>
+          <label>
+            Threshold:{' '}
+            <input type="number" min="1" max={getLtLNeighborhoodSize(currentDefinition.range, currentDefinition.neighborhood)} value={currentDefinition.threshold} onChange={handleCyclicNumberChange('threshold')} style={{ width: '50px' }} disabled={isRunning} />
+          </label>
+          <label>
+            States:{' '}
+            <input type="number" min={currentDefinition.greenbergHastings ? 3 : 2} max={MAX_CYCLIC_STATES} value={currentDefinition.states} onChange={handleCyclicNumberChange('states')} style={{ width: '50px' }} disabled={isRunning} />
+          </label>
+          <label>
+            <input type="checkbox" checked={currentDefinition.greenbergHastings} onChange={(e) => handleCyclicChange({ greenbergHastings: e.target.checked })} disabled={isRunning} />
+            {' '}Greenberg-Hastings (excitable medium)
+          </label>
+          <span style={{ flexBasis: '100%', textAlign: 'center' }}>
+            {currentDefinition.greenbergHastings
+              ? `A resting cell (state 0) is excited by ${currentDefinition.threshold} or more excited neighbors (state 1), then recovers through states 2-${currentDefinition.states - 1}. Random fill uses all ${currentDefinition.states} states.`
+              : `A cell in state k moves on to k + 1 (mod ${currentDefinition.states}) when ${currentDefinition.threshold} or more neighbors are in state k + 1. Random fill uses all ${currentDefinition.states} states.`}
+          </span>
+        </div>
+      )}
+
+      {isWireWorld && (
+        <div style={controlStyles.countsRow}>
+          <label>
+            Paint:{' '}
+            <select value={paintState} onChange={(e) => onPaintStateChange(parseInt(e.target.value, 10))}>
+              {Object.entries(WIREWORLD_PAINT_NAMES).map(([state, name]) => (
+                <option key={state} value={state}>{name}</option>
+              ))}
+            </select>
+          </label>
+          <label>
+            Circuit:{' '}
+            <select value={wireWorldPatternKey} onChange={(e) => setWireWorldPatternKey(e.target.value)} disabled={isRunning}>
+              {WIREWORLD_LIBRARY_2D.map(({ key, name }) => (
+                <option key={key} value={key}>{name}</option>
+              ))}
+            </select>
+          </label>
+          <button onClick={() => onLoadWireWorldPattern(wireWorldPattern)} disabled={isRunning} style={{...controlStyles.button, ...(isRunning && controlStyles.buttonDisabled)}}>Load circuit</button>
+          <span style={{ flexBasis: '100%', textAlign: 'center' }}>{wireWorldPattern.description}</span>
+        </div>
+      )}
+
+      {isTurmite && (
+        <div style={controlStyles.countsRow}>
+          <label>
+            Ants:{' '}
+            <input type="number" min="1" max={MAX_TURMITE_ANTS} value={antCount} onChange={handleAntCountChange} style={{ width: '50px' }} disabled={isRunning} />
+          </label>
+          <label>
+            Steps per tick:{' '}
+            <select value={turmiteStepsPerTick} onChange={(e) => onTurmiteStepsPerTickChange(parseInt(e.target.value, 10))}>
+              {TURMITE_STEPS_PER_TICK.map((steps) => (
+                <option key={steps} value={steps}>{steps.toLocaleString()}</option>
+              ))}
+            </select>
+          </label>
+          <input type="number" min="1" value={turmiteJumpSteps} onChange={handleTurmiteJumpStepsChange} style={{ width: '100px' }} disabled={isRunning} />
+          <button onClick={() => onTurmiteJump(turmiteJumpSteps)} disabled={isRunning} style={{...controlStyles.button, ...(isRunning && controlStyles.buttonDisabled)}}>Run steps</button>
+          <span style={{ flexBasis: '100%', textAlign: 'center' }}>
+            {currentDefinition.states} colors, {currentDefinition.antStates} ant state{currentDefinition.antStates === 1 ? '' : 's'}. Click a cell to add or remove an ant; changing the number of ants starts over on an empty grid.
+          </span>
+        </div>
+      )}
+
+      {currentDefinition && isCountRule && [['birth', 'Birth:'], ['survival', 'Survival:']].map(([key, label]) => (
+        <div key={key} style={controlStyles.countsRow}>
+          <span style={controlStyles.countsLabel}>{label}</span>
+          {neighborCounts.map((count) => (
+            <span key={count}>
+              <label>
+                <input
+                  type="checkbox"
+                  checked={currentDefinition[key].includes(count)}
+                  onChange={() => handleCountToggle(key, count)}
+                  disabled={isRunning || (key === 'birth' && count === 0 && currentDefinition.states > 2)}
+                />
+                {count}
+              </label>
+              {classLetters[count] && (
+                <span style={controlStyles.classLetters}>
+                  ({[...classLetters[count]].map((letter) => (
+                    <label key={letter}>
+                      <input
+                        type="checkbox"
+                        checked={getTakenClasses(key, count).includes(letter)}
+                        onChange={() => handleClassToggle(key, count, letter)}
+                        disabled={isRunning}
+                      />
+                      {letter}
+                    </label>
+                  ))})
+                </span>
+              )}
+            </span>
+          ))}
+        </div>
+      ))}
+      {currentDefinition && (isCountRule || isLtL) && (
+        <div style={controlStyles.countsRow}>
+          <label>
+            States:{' '}
+            <input type="number" min="2" max={MAX_STATES_2D} value={currentDefinition.states} onChange={handleStatesChange} style={{ width: '60px' }} disabled={isRunning} />
+          </label>
+          <span>{currentDefinition.states > 2 ? `Generations rule: live cells decay through ${currentDefinition.states - 2} state${currentDefinition.states > 3 ? 's' : ''} before dying` : 'Life-like rule'}</span>
+        </div>
+      )}
+      {currentDefinition && isCountRule && currentDefinition.birth.includes(0) && (
+        <div style={controlStyles.countsRow}>
+          B0 rule: shown with the background kept empty ({currentDefinition.survival.includes(neighborCount) ? 'the grid is drawn complemented' : 'every other generation is drawn complemented'})
+        </div>
+      )}
     </div>
   );
 };
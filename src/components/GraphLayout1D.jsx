@@ -0,0 +1,63 @@
+// Content for components/GraphLayout1D.jsx
+import React, { useRef, useEffect } from 'react';
+
+const STATE_COLORS = ['#fff', '#333', '#d9534f', '#0275d8']; // Same palette as Automaton1DView
+const RING_LINK_COLOR = '#ccc';
+const REWIRED_LINK_COLOR = 'rgba(2, 117, 216, 0.5)';
+const NODE_BORDER_COLOR = '#999';
+const MARGIN = 12;
+const MAX_NODE_RADIUS = 6;
+const MIN_NODE_RADIUS = 1;
+
+// Circular layout of a 1D graph topology ({ left, right }, see graphTopology1D.js): nodes sit on a circle in
+// index order, so ring links are short arcs and rewired links show up as chords across it. Nodes are
+// colored by their state in `row` (the latest generation).
+const GraphLayout1D = ({ topology, row, size = 300 }) => {
+  const canvasRef = useRef(null);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas || !topology) return;
+    const ctx = canvas.getContext('2d');
+    ctx.clearRect(0, 0, size, size);
+
+    const { left, right } = topology;
+    const nodeCount = left.length;
+    const center = size / 2;
+    const layoutRadius = size / 2 - MARGIN;
+    const nodeRadius = Math.max(MIN_NODE_RADIUS, Math.min(MAX_NODE_RADIUS, (Math.PI * layoutRadius) / nodeCount));
+    const positions = Array.from({ length: nodeCount }, (_, i) => {
+      const angle = (2 * Math.PI * i) / nodeCount - Math.PI / 2;
+      return [center + layoutRadius * Math.cos(angle), center + layoutRadius * Math.sin(angle)];
+    });
+
+    const drawLinks = (isRewired, color) => {
+      ctx.strokeStyle = color;
+      ctx.lineWidth = 1;
+      ctx.beginPath();
+      for (let i = 0; i < nodeCount; i++) {
+        [[left[i], (i - 1 + nodeCount) % nodeCount], [right[i], (i + 1) % nodeCount]].forEach(([target, ringTarget]) => {
+          if ((target !== ringTarget) !== isRewired) return;
+          ctx.moveTo(...positions[i]);
+          ctx.lineTo(...positions[target]);
+        });
+      }
+      ctx.stroke();
+    };
+    drawLinks(false, RING_LINK_COLOR);
+    drawLinks(true, REWIRED_LINK_COLOR);
+
+    ctx.strokeStyle = NODE_BORDER_COLOR;
+    positions.forEach(([x, y], i) => {
+      ctx.fillStyle = STATE_COLORS[row && row.length === nodeCount ? row[i] : 0] ?? STATE_COLORS[0];
+      ctx.beginPath();
+      ctx.arc(x, y, nodeRadius, 0, 2 * Math.PI);
+      ctx.fill();
+      if (nodeRadius > 2) ctx.stroke();
+    });
+  }, [topology, row, size]);
+
+  return <canvas ref={canvasRef} width={size} height={size} style={{ border: '1px solid #eee', backgroundColor: 'white' }} />;
+};
+
+export default GraphLayout1D;
@@ -0,0 +1,99 @@
+// Content for components/LineChart.jsx
+import React, { useRef, useEffect } from 'react';
+
+const AXIS_COLOR = '#999';
+const LABEL_COLOR = '#555';
+const MARGIN = { top: 10, right: 10, bottom: 28, left: 48 };
+
+const formatTick = (value) => (Math.abs(value) >= 1000 || Number.isInteger(value) ? Math.round(value).toString() : value.toFixed(2));
+
+// Minimal canvas line chart for live time series.
+// series: [{ label, color, points: [{ x, y }] }], all sharing one pair of axes.
+// Long series are thinned to about one point per pixel so charts of thousands of generations stay cheap.
+const LineChart = ({ series, width = 600, height = 180, xLabel = '', yLabel = '', yMin, yMax }) => {
+  const canvasRef = useRef(null);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+    const ctx = canvas.getContext('2d');
+    ctx.clearRect(0, 0, width, height);
+
+    const allPoints = series.flatMap((s) => s.points);
+    const plotWidth = width - MARGIN.left - MARGIN.right;
+    const plotHeight = height - MARGIN.top - MARGIN.bottom;
+
+    // Axes
+    ctx.strokeStyle = AXIS_COLOR;
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(MARGIN.left + 0.5, MARGIN.top);
+    ctx.lineTo(MARGIN.left + 0.5, MARGIN.top + plotHeight + 0.5);
+    ctx.lineTo(MARGIN.left + plotWidth, MARGIN.top + plotHeight + 0.5);
+    ctx.stroke();
+
+    ctx.fillStyle = LABEL_COLOR;
+    ctx.font = '11px sans-serif';
+    ctx.textAlign = 'center';
+    ctx.fillText(xLabel, MARGIN.left + plotWidth / 2, height - 4);
+    ctx.save();
+    ctx.translate(10, MARGIN.top + plotHeight / 2);
+    ctx.rotate(-Math.PI / 2);
+    ctx.fillText(yLabel, 0, 0);
+    ctx.restore();
+
+    if (allPoints.length === 0) return;
+
+    let xMin = Infinity, xMax = -Infinity, dataYMin = Infinity, dataYMax = -Infinity;
+    allPoints.forEach(({ x, y }) => {
+      xMin = Math.min(xMin, x);
+      xMax = Math.max(xMax, x);
+      dataYMin = Math.min(dataYMin, y);
+      dataYMax = Math.max(dataYMax, y);
+    });
+    const yLow = yMin ?? dataYMin;
+    const yHigh = yMax ?? (dataYMax > yLow ? dataYMax : yLow + 1);
+    const xSpan = xMax > xMin ? xMax - xMin : 1;
+    const toX = (x) => MARGIN.left + ((x - xMin) / xSpan) * plotWidth;
+    const toY = (y) => MARGIN.top + plotHeight - ((y - yLow) / (yHigh - yLow)) * plotHeight;
+
+    // Tick labels at the ends of each axis
+    ctx.textAlign = 'right';
+    ctx.fillText(formatTick(yHigh), MARGIN.left - 4, MARGIN.top + 8);
+    ctx.fillText(formatTick(yLow), MARGIN.left - 4, MARGIN.top + plotHeight);
+    ctx.textAlign = 'left';
+    ctx.fillText(formatTick(xMin), MARGIN.left, MARGIN.top + plotHeight + 12);
+    ctx.textAlign = 'right';
+    ctx.fillText(formatTick(xMax), MARGIN.left + plotWidth, MARGIN.top + plotHeight + 12);
+
+    series.forEach(({ color, points }) => {
+      if (points.length === 0) return;
+      const stride = Math.max(1, Math.floor(points.length / plotWidth));
+      ctx.strokeStyle = color;
+      ctx.beginPath();
+      for (let i = 0; i < points.length; i += stride) {
+        const { x, y } = points[i];
+        if (i === 0) ctx.moveTo(toX(x), toY(y));
+        else ctx.lineTo(toX(x), toY(y));
+      }
+      const last = points[points.length - 1];
+      ctx.lineTo(toX(last.x), toY(last.y));
+      ctx.stroke();
+    });
+  }, [series, width, height, xLabel, yLabel, yMin, yMax]);
+
+  return (
+    <div style={{ display: 'flex', flexDirection: 'column', alignItems: 'center' }}>
+      <canvas ref={canvasRef} width={width} height={height} style={{ border: '1px solid #eee', backgroundColor: 'white' }} />
+      {series.length > 1 && (
+        <div style={{ display: 'flex', gap: '12px', fontSize: '0.8em', color: LABEL_COLOR }}>
+          {series.map(({ label, color }) => (
+            <span key={label}><span style={{ color }}>■</span> {label}</span>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default LineChart;
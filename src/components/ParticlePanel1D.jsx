@@ -0,0 +1,120 @@
+// Content for components/ParticlePanel1D.jsx
+import React, { useState, useEffect, useCallback } from 'react';
+import { parseDomainWords } from '../automataDomains1D.js';
+
+const LIST_LENGTH = 30; // Most recent tracks / collisions listed
+
+const formatIds = (ids) => (ids.length > 0 ? ids.map((id) => `#${id}`).join(' + ') : 'nothing');
+
+// Domain filter settings (typed, auto-detected or picked from the diagram) and the particles found
+// against that domain: their tracks with velocities, and the collisions between them
+const ParticlePanel1D = ({
+  enabled,
+  onEnabledChange,
+  words,
+  onWordsChange,
+  onDetect,
+  isPicking,
+  onPickToggle,
+  message,
+  summary,
+  states = 2
+}) => {
+  const [wordsInputValue, setWordsInputValue] = useState(words ? words.join(', ') : '');
+
+  useEffect(() => {
+    // Leave the text alone while it already denotes these words, so it isn't rewritten mid-typing
+    setWordsInputValue((prevValue) => {
+      if (!words) return prevValue;
+      const parsed = parseDomainWords(prevValue, states);
+      return parsed && parsed.join(',') === words.join(',') ? prevValue : words.join(', ');
+    });
+  }, [words, states]);
+
+  const handleWordsInputChange = useCallback((event) => {
+    const value = event.target.value;
+    setWordsInputValue(value);
+    const parsed = parseDomainWords(value, states);
+    if (parsed && onWordsChange) onWordsChange(parsed);
+  }, [onWordsChange, states]);
+
+  const wordsInputValid = wordsInputValue === '' || parseDomainWords(wordsInputValue, states) !== null;
+  const recentTracks = summary ? summary.tracks.slice(-LIST_LENGTH).reverse() : [];
+  const recentCollisions = summary ? summary.collisions.slice(-LIST_LENGTH).reverse() : [];
+
+  const panelStyles = {
+    container: { display: 'flex', flexDirection: 'column', alignItems: 'center', gap: '8px', marginTop: '15px', width: '100%' },
+    controls: { display: 'flex', alignItems: 'center', gap: '10px', flexWrap: 'wrap', justifyContent: 'center', fontSize: '0.9em' },
+    input: (valid) => ({ width: '220px', padding: '6px', border: `1px solid ${valid ? '#ccc' : '#dc3545'}`, borderRadius: '4px', fontFamily: 'monospace' }),
+    message: { fontSize: '0.85em', color: '#555' },
+    lists: { display: 'flex', gap: '30px', flexWrap: 'wrap', justifyContent: 'center', fontSize: '0.85em' },
+    table: { borderCollapse: 'collapse' },
+    cell: { padding: '2px 8px', borderBottom: '1px solid #eee', textAlign: 'right' }
+  };
+
+  return (
+    <div style={panelStyles.container}>
+      <div style={panelStyles.controls}>
+        <label>
+          <input type="checkbox" checked={enabled} onChange={(e) => onEnabledChange(e.target.checked)} disabled={!words} />
+          {' '}Filter domain and track particles
+        </label>
+        <label>
+          Domain words:{' '}
+          <input
+            type="text"
+            value={wordsInputValue}
+            onChange={handleWordsInputChange}
+            placeholder="e.g. 0001, 0111"
+            title="Spatially periodic words of the background, one per row phase"
+            style={panelStyles.input(wordsInputValid)}
+          />
+        </label>
+        <button onClick={onDetect}>Auto-detect</button>
+        <button onClick={onPickToggle}>{isPicking ? 'Cancel picking' : 'Pick from diagram'}</button>
+      </div>
+      {isPicking && <div style={panelStyles.message}>Click a cell of the background in the diagram.</div>}
+      {message && <div style={panelStyles.message}>{message}</div>}
+      {enabled && summary && (
+        <>
+          <div style={panelStyles.message}>
+            {summary.tracks.length} particles and {summary.collisions.length} collisions in the history (latest listed below)
+          </div>
+          <div style={panelStyles.lists}>
+            <table style={panelStyles.table}>
+              <thead>
+                <tr><th style={panelStyles.cell}>Particle</th><th style={panelStyles.cell}>First seen</th><th style={panelStyles.cell}>Last seen</th><th style={panelStyles.cell}>Velocity (cells/gen)</th></tr>
+              </thead>
+              <tbody>
+                {recentTracks.map(({ id, birth, last, velocity }) => (
+                  <tr key={id}>
+                    <td style={panelStyles.cell}>#{id}</td>
+                    <td style={panelStyles.cell}>{birth}</td>
+                    <td style={panelStyles.cell}>{last}</td>
+                    <td style={panelStyles.cell}>{velocity === null ? '-' : velocity.toFixed(3)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <table style={panelStyles.table}>
+              <thead>
+                <tr><th style={panelStyles.cell}>Generation</th><th style={panelStyles.cell}>Cell</th><th style={panelStyles.cell}>Collision</th></tr>
+              </thead>
+              <tbody>
+                {recentCollisions.map(({ generation, cell, incoming, outgoing }, index) => (
+                  <tr key={`${generation}-${cell}-${index}`}>
+                    <td style={panelStyles.cell}>{generation}</td>
+                    <td style={panelStyles.cell}>{cell}</td>
+                    <td style={panelStyles.cell}>{formatIds(incoming)} → {formatIds(outgoing)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ParticlePanel1D;
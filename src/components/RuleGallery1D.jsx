@@ -0,0 +1,138 @@
+// Content for components/RuleGallery1D.jsx
+import React, { useRef, useEffect, useMemo, useState } from 'react';
+import {
+  calculateNextGeneration,
+  getEquivalentRules,
+  getClassRepresentative,
+  getWolframClass,
+  ELEMENTARY_RULE_COUNT
+} from '../automataLogic.js';
+
+const THUMBNAIL_GENERATIONS = 48;
+const THUMBNAIL_CELL_SIZE = 2; // px per cell
+const ALIVE_COLOR = [51, 51, 51]; // Matches state 1 in Automaton1DView
+const DEAD_COLOR = [255, 255, 255];
+
+const SYMMETRY_FILTERS = {
+  'all': 'All 256 rules',
+  'representatives': 'One per equivalence class (88)',
+  'mirrorSymmetric': 'Mirror-symmetric',
+  'complementSymmetric': 'Complement-symmetric',
+  'currentClass': 'Equivalent to current rule'
+};
+
+const CLASS_FILTERS = {
+  'all': 'All classes',
+  '1': 'Class I (uniform)',
+  '2': 'Class II (periodic)',
+  '3': 'Class III (chaotic)',
+  '4': 'Class IV (complex)'
+};
+
+const CLASS_NAMES = { 1: 'I', 2: 'II', 3: 'III', 4: 'IV' };
+
+const RuleThumbnail = ({ rule, initialGeneration, isCurrent, onSelect }) => {
+  const canvasRef = useRef(null);
+  const equivalents = getEquivalentRules(rule);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+    const ctx = canvas.getContext('2d');
+    const numCols = initialGeneration.length;
+    const image = ctx.createImageData(numCols, THUMBNAIL_GENERATIONS);
+    let generation = initialGeneration;
+    for (let row = 0; row < THUMBNAIL_GENERATIONS; row++) {
+      for (let col = 0; col < numCols; col++) {
+        const color = generation[col] ? ALIVE_COLOR : DEAD_COLOR;
+        const offset = (row * numCols + col) * 4;
+        image.data[offset] = color[0];
+        image.data[offset + 1] = color[1];
+        image.data[offset + 2] = color[2];
+        image.data[offset + 3] = 255;
+      }
+      generation = calculateNextGeneration(generation, rule);
+    }
+    ctx.putImageData(image, 0, 0);
+  }, [rule, initialGeneration]);
+
+  const thumbnailStyles = {
+    card: { display: 'flex', flexDirection: 'column', alignItems: 'center', padding: '4px', border: isCurrent ? '2px solid #007bff' : '1px solid #ddd', borderRadius: '4px', backgroundColor: 'white', cursor: 'pointer' },
+    canvas: { width: `${initialGeneration.length * THUMBNAIL_CELL_SIZE}px`, height: `${THUMBNAIL_GENERATIONS * THUMBNAIL_CELL_SIZE}px`, imageRendering: 'pixelated' },
+    label: { fontSize: '0.75em', color: '#333' }
+  };
+
+  return (
+    <div
+      style={thumbnailStyles.card}
+      onClick={() => onSelect(rule)}
+      onKeyPress={(e) => { if (e.key === 'Enter' || e.key === ' ') onSelect(rule); }}
+      role="button"
+      tabIndex={0}
+      title={`Rule ${rule} (class ${CLASS_NAMES[getWolframClass(rule)]}); equivalent to ${equivalents.mirrored} (mirror), ${equivalents.complemented} (complement), ${equivalents.mirrorComplemented} (both)`}
+    >
+      <canvas ref={canvasRef} width={initialGeneration.length} height={THUMBNAIL_GENERATIONS} style={thumbnailStyles.canvas} />
+      <span style={thumbnailStyles.label}>{rule} · {CLASS_NAMES[getWolframClass(rule)]}</span>
+    </div>
+  );
+};
+
+// Overview of all elementary rules: one small spacetime diagram per rule, all from the same first row.
+// currentRule is the loaded elementary rule as a Number, or null if the 1D view runs some other rule family.
+const RuleGallery1D = ({ initialGeneration, currentRule, onSelectRule }) => {
+  const [symmetryFilter, setSymmetryFilter] = useState('all');
+  const [classFilter, setClassFilter] = useState('all');
+
+  const visibleRules = useMemo(() => {
+    const currentRepresentative = currentRule !== null ? getClassRepresentative(currentRule) : null;
+    return Array.from({ length: ELEMENTARY_RULE_COUNT }, (_, rule) => rule).filter((rule) => {
+      const { mirrored, complemented } = getEquivalentRules(rule);
+      if (symmetryFilter === 'representatives' && getClassRepresentative(rule) !== rule) return false;
+      if (symmetryFilter === 'mirrorSymmetric' && mirrored !== rule) return false;
+      if (symmetryFilter === 'complementSymmetric' && complemented !== rule) return false;
+      if (symmetryFilter === 'currentClass' && getClassRepresentative(rule) !== currentRepresentative) return false;
+      return classFilter === 'all' || getWolframClass(rule) === Number(classFilter);
+    });
+  }, [symmetryFilter, classFilter, currentRule]);
+
+  const galleryStyles = {
+    container: { display: 'flex', flexDirection: 'column', alignItems: 'center', width: '100%' },
+    filters: { display: 'flex', alignItems: 'center', gap: '10px', marginBottom: '10px', flexWrap: 'wrap', justifyContent: 'center' },
+    select: { padding: '8px', borderRadius: '4px' },
+    grid: { display: 'flex', flexWrap: 'wrap', gap: '6px', justifyContent: 'center', maxHeight: '600px', overflowY: 'auto', padding: '5px' },
+    count: { fontSize: '0.9em', color: '#555' }
+  };
+
+  return (
+    <div style={galleryStyles.container}>
+      <div style={galleryStyles.filters}>
+        <label htmlFor="gallerySymmetry">Symmetry:</label>
+        <select id="gallerySymmetry" value={symmetryFilter} onChange={(e) => setSymmetryFilter(e.target.value)} style={galleryStyles.select}>
+          {Object.entries(SYMMETRY_FILTERS).map(([key, name]) => (
+            <option key={key} value={key}>{name}</option>
+          ))}
+        </select>
+        <label htmlFor="galleryClass">Wolfram class:</label>
+        <select id="galleryClass" value={classFilter} onChange={(e) => setClassFilter(e.target.value)} style={galleryStyles.select}>
+          {Object.entries(CLASS_FILTERS).map(([key, name]) => (
+            <option key={key} value={key}>{name}</option>
+          ))}
+        </select>
+        <span style={galleryStyles.count}>{visibleRules.length} rules · click one to load it</span>
+      </div>
+      <div style={galleryStyles.grid}>
+        {visibleRules.map((rule) => (
+          <RuleThumbnail
+            key={rule}
+            rule={rule}
+            initialGeneration={initialGeneration}
+            isCurrent={rule === currentRule}
+            onSelect={onSelectRule}
+          />
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default RuleGallery1D;
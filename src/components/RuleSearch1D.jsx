@@ -0,0 +1,184 @@
+// Content for components/RuleSearch1D.jsx
+import React, { useRef, useEffect, useMemo, useState, useCallback } from 'react';
+import LineChart from './LineChart.jsx';
+import { calculateNextGeneration, createInitialGeneration } from '../automataLogic.js';
+import { SEARCH_RADIUS_1D, DEFAULT_SEARCH_SETTINGS_1D } from '../ruleSearch1D.js';
+import { generateSeed } from '../seededRandom.js';
+
+const BEST_COLOR = '#007bff';
+const MEAN_COLOR = '#6c757d';
+const BEST_SO_FAR_COLOR = '#28a745';
+const DIAGRAM_CELL_SIZE = 2; // px per cell
+const ALIVE_COLOR = [51, 51, 51]; // Matches state 1 in Automaton1DView
+const DEAD_COLOR = [255, 255, 255];
+const EXAMPLE_DENSITY = 0.5; // Rows near density 1/2 are the hardest to classify
+
+// Spacetime diagram of a rule run from one row for 2N steps, as it is scored
+const ChampionDiagram = ({ rule, initialGeneration }) => {
+  const canvasRef = useRef(null);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+    const ctx = canvas.getContext('2d');
+    const numCols = initialGeneration.length;
+    const numRows = 2 * numCols + 1;
+    const image = ctx.createImageData(numCols, numRows);
+    let generation = initialGeneration;
+    for (let row = 0; row < numRows; row++) {
+      for (let col = 0; col < numCols; col++) {
+        const color = generation[col] ? ALIVE_COLOR : DEAD_COLOR;
+        const offset = (row * numCols + col) * 4;
+        image.data[offset] = color[0];
+        image.data[offset + 1] = color[1];
+        image.data[offset + 2] = color[2];
+        image.data[offset + 3] = 255;
+      }
+      generation = calculateNextGeneration(generation, rule, { radius: SEARCH_RADIUS_1D });
+    }
+    ctx.putImageData(image, 0, 0);
+  }, [rule, initialGeneration]);
+
+  const numCols = initialGeneration.length;
+  return (
+    <canvas
+      ref={canvasRef}
+      width={numCols}
+      height={2 * numCols + 1}
+      style={{ width: `${numCols * DIAGRAM_CELL_SIZE}px`, height: `${(2 * numCols + 1) * DIAGRAM_CELL_SIZE}px`, imageRendering: 'pixelated', border: '1px solid #eee' }}
+    />
+  );
+};
+
+// Genetic-algorithm search for radius-3 rules that classify a row's majority state (see ruleSearch1D.js),
+// run in a Web Worker. Shows the fitness per generation and the best rule found so far, which
+// `onLoadRule({ rule, cellCount, initialCondition })` opens in the main 1D view on the example row shown here.
+const RuleSearch1D = ({ onLoadRule }) => {
+  const workerRef = useRef(null);
+  const [settings, setSettings] = useState(DEFAULT_SEARCH_SETTINGS_1D);
+  const [isSearching, setIsSearching] = useState(false);
+  const [progress, setProgress] = useState([]); // [{ generation, bestFitness, meanFitness }]
+  const [champion, setChampion] = useState(null); // Best so far: { rule, fitness, generation }
+  const [scoring, setScoring] = useState(null); // Generation being scored: { generation, scoredCount }
+  const [exampleSeed, setExampleSeed] = useState(1);
+
+  useEffect(() => {
+    const worker = new Worker(new URL('../ruleSearch1D.worker.js', import.meta.url), { type: 'module' });
+    worker.onmessage = (event) => {
+      const message = event.data;
+      if (message.type === 'progress') {
+        setScoring({ generation: message.generation, scoredCount: message.scoredCount });
+      } else if (message.type === 'generation') {
+        const { generation, bestFitness, meanFitness } = message;
+        setProgress((prevProgress) => [...prevProgress, { generation, bestFitness, meanFitness }]);
+        setChampion((prevChampion) => (
+          prevChampion && prevChampion.fitness >= bestFitness
+            ? prevChampion
+            : { rule: message.champion, fitness: bestFitness, generation }
+        ));
+      } else if (message.type === 'done') {
+        setIsSearching(false);
+      }
+    };
+    worker.onerror = (error) => {
+      console.error('Rule search worker failed:', error.message);
+      setIsSearching(false);
+    };
+    workerRef.current = worker;
+    return () => worker.terminate();
+  }, []);
+
+  const handleStart = useCallback(() => {
+    setProgress([]);
+    setChampion(null);
+    setScoring(null);
+    setIsSearching(true);
+    workerRef.current.postMessage({ type: 'start', settings });
+  }, [settings]);
+
+  const handleStop = useCallback(() => {
+    workerRef.current.postMessage({ type: 'stop' });
+  }, []);
+
+  const handleSettingChange = useCallback((key) => (event) => {
+    const numericValue = parseInt(event.target.value, 10);
+    if (!isNaN(numericValue) && numericValue >= 0) {
+      setSettings((prevSettings) => ({ ...prevSettings, [key]: key === 'seed' ? numericValue >>> 0 : Math.max(1, numericValue) }));
+    }
+  }, []);
+
+  const exampleInitialCondition = useMemo(
+    () => ({ type: 'random', density: EXAMPLE_DENSITY, pattern: '1', seed: exampleSeed }),
+    [exampleSeed]
+  );
+  const exampleGeneration = useMemo(
+    () => createInitialGeneration(settings.cellCount, exampleInitialCondition),
+    [settings.cellCount, exampleInitialCondition]
+  );
+
+  const fitnessSeries = useMemo(() => {
+    let bestSoFar = 0;
+    return [
+      { label: 'Best', color: BEST_COLOR, points: progress.map(({ generation, bestFitness }) => ({ x: generation, y: bestFitness })) },
+      { label: 'Mean', color: MEAN_COLOR, points: progress.map(({ generation, meanFitness }) => ({ x: generation, y: meanFitness })) },
+      {
+        label: 'Best so far',
+        color: BEST_SO_FAR_COLOR,
+        points: progress.map(({ generation, bestFitness }) => {
+          bestSoFar = Math.max(bestSoFar, bestFitness);
+          return { x: generation, y: bestSoFar };
+        })
+      }
+    ];
+  }, [progress]);
+
+  const searchStyles = {
+    container: { display: 'flex', flexDirection: 'column', alignItems: 'center', gap: '10px', width: '100%' },
+    controls: { display: 'flex', alignItems: 'center', gap: '10px', flexWrap: 'wrap', justifyContent: 'center', fontSize: '0.9em' },
+    input: { width: '80px', padding: '6px', border: '1px solid #ccc', borderRadius: '4px' },
+    text: { fontSize: '0.9em', color: '#555', textAlign: 'center', maxWidth: '640px' }
+  };
+
+  return (
+    <div style={searchStyles.container}>
+      <p style={searchStyles.text}>
+        Evolves radius-{SEARCH_RADIUS_1D} rules for density classification: starting from a random row of {settings.cellCount} cells,
+        a rule should reach all 1s within {2 * settings.cellCount} steps if most cells start as 1, and all 0s otherwise.
+        Fitness is the fraction of {settings.testCount} random rows (fresh each generation) classified correctly.
+      </p>
+      <div style={searchStyles.controls}>
+        <label>Population: <input type="number" min="2" value={settings.populationSize} onChange={handleSettingChange('populationSize')} style={searchStyles.input} disabled={isSearching} /></label>
+        <label>Tests per rule: <input type="number" min="1" value={settings.testCount} onChange={handleSettingChange('testCount')} style={searchStyles.input} disabled={isSearching} /></label>
+        <label>Generations: <input type="number" min="1" value={settings.maxGenerations} onChange={handleSettingChange('maxGenerations')} style={searchStyles.input} disabled={isSearching} /></label>
+        <label>Seed: <input type="number" min="0" value={settings.seed} onChange={handleSettingChange('seed')} style={searchStyles.input} disabled={isSearching} /></label>
+        {isSearching
+          ? <button onClick={handleStop}>Stop</button>
+          : <button onClick={handleStart}>Start search</button>}
+      </div>
+      <p style={searchStyles.text}>
+        {progress.length === 0
+          ? (isSearching ? 'Scoring the first generation...' : 'No search run yet.')
+          : `Generation ${progress[progress.length - 1].generation + 1}${isSearching ? ' (searching)' : ''}: best ${progress[progress.length - 1].bestFitness.toFixed(2)}, mean ${progress[progress.length - 1].meanFitness.toFixed(2)}.`}
+        {isSearching && scoring && ` ${scoring.scoredCount} of ${settings.populationSize} rules of generation ${scoring.generation + 1} scored.`}
+      </p>
+      <LineChart series={fitnessSeries} xLabel="Generation" yLabel="Fitness" yMin={0} yMax={1} />
+      {champion && (
+        <>
+          <p style={searchStyles.text}>
+            Best so far: fitness {champion.fitness.toFixed(2)} (generation {champion.generation + 1}),
+            rule 0x{champion.rule.toString(16).padStart(32, '0')}
+          </p>
+          <ChampionDiagram rule={champion.rule} initialGeneration={exampleGeneration} />
+          <div style={searchStyles.controls}>
+            <button onClick={() => setExampleSeed(generateSeed())}>New example row</button>
+            <button onClick={() => onLoadRule({ rule: champion.rule, cellCount: settings.cellCount, initialCondition: exampleInitialCondition })}>
+              Load into 1D view
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default RuleSearch1D;
@@ -0,0 +1,119 @@
+// Content for components/RuleTableEditor1D.jsx
+import React, { useState, useEffect, useCallback } from 'react';
+import { decimalToBinaryArray, getEquivalentRules } from '../automataLogic.js';
+
+// decimalToBinaryArray lists outputs most significant first, i.e. for neighborhoods 111, 110, ..., 000
+const NEIGHBORHOODS = Array.from({ length: 8 }, (_, i) => (7 - i).toString(2).padStart(3, '0').split('').map(Number));
+
+const binaryArrayToDecimal = (bits) => parseInt(bits.join(''), 2);
+
+const formatRule = (rule) => ({
+  decimal: rule.toString(),
+  binary: rule.toString(2).padStart(8, '0'),
+  hex: rule.toString(16).toUpperCase().padStart(2, '0')
+});
+
+const RULE_FORMATS = {
+  decimal: { label: 'Decimal', pattern: /^\d{1,3}$/, radix: 10 },
+  binary: { label: 'Binary', pattern: /^[01]{1,8}$/, radix: 2 },
+  hex: { label: 'Hex', pattern: /^[0-9a-fA-F]{1,2}$/, radix: 16 }
+};
+
+// Returns the rule a text field denotes, or NaN if it is not a valid elementary rule in that format
+const parseRuleInput = (format, value) => {
+  const { pattern, radix } = RULE_FORMATS[format];
+  const parsedValue = pattern.test(value) ? parseInt(value, radix) : NaN;
+  return parsedValue <= 255 ? parsedValue : NaN;
+};
+
+// Edit an elementary rule through its eight neighborhood -> output entries
+const RuleTableEditor1D = ({ rule, onRuleChange, disabled = false }) => {
+  const [inputValues, setInputValues] = useState(formatRule(rule));
+  const ruleBits = decimalToBinaryArray(rule);
+  const equivalents = getEquivalentRules(rule);
+
+  useEffect(() => {
+    // Rewrite only the fields that don't already show this rule, so a field being typed in isn't reformatted
+    const formatted = formatRule(rule);
+    setInputValues((prevValues) => Object.fromEntries(Object.keys(RULE_FORMATS).map((format) => (
+      [format, parseRuleInput(format, prevValues[format]) === rule ? prevValues[format] : formatted[format]]
+    ))));
+  }, [rule]);
+
+  const handleOutputToggle = useCallback((index) => {
+    const newBits = [...ruleBits];
+    newBits[index] = newBits[index] === 1 ? 0 : 1;
+    if (onRuleChange) onRuleChange(binaryArrayToDecimal(newBits));
+  }, [ruleBits, onRuleChange]);
+
+  const handleFormatInputChange = useCallback((format, value) => {
+    setInputValues((prevValues) => ({ ...prevValues, [format]: value }));
+    const parsedValue = parseRuleInput(format, value);
+    if (!isNaN(parsedValue) && onRuleChange) {
+      onRuleChange(parsedValue);
+    }
+  }, [onRuleChange]);
+
+  const editorStyles = {
+    container: { display: 'flex', flexDirection: 'column', alignItems: 'center', gap: '8px', padding: '10px', marginBottom: '20px', border: '1px solid #eee', borderRadius: '4px' },
+    table: { display: 'flex', gap: '8px' },
+    entry: { display: 'flex', flexDirection: 'column', alignItems: 'center', gap: '4px' },
+    neighborhood: { display: 'flex' },
+    neighborCell: (state) => ({ width: '14px', height: '14px', border: '1px solid #999', backgroundColor: state ? '#333' : '#fff' }),
+    outputCell: (state) => ({ width: '14px', height: '14px', border: '1px solid #007bff', backgroundColor: state ? '#333' : '#fff', cursor: disabled ? 'not-allowed' : 'pointer', padding: 0, margin: 0 }),
+    formats: { display: 'flex', alignItems: 'center', gap: '10px', flexWrap: 'wrap', justifyContent: 'center' },
+    input: (valid) => ({ width: '90px', padding: '6px', border: `1px solid ${valid ? '#ccc' : '#dc3545'}`, borderRadius: '4px', fontFamily: 'monospace' }),
+    equivalents: { display: 'flex', alignItems: 'center', gap: '5px', fontSize: '0.9em', color: '#333', flexWrap: 'wrap', justifyContent: 'center' },
+    equivalentButton: { padding: '2px 8px', fontSize: '0.9em', margin: 0 }
+  };
+
+  return (
+    <div style={editorStyles.container}>
+      <div style={editorStyles.table}>
+        {NEIGHBORHOODS.map((neighborhood, index) => (
+          <div key={index} style={editorStyles.entry}>
+            <div style={editorStyles.neighborhood} title={`Neighborhood ${neighborhood.join('')}`}>
+              {neighborhood.map((state, cellIndex) => (
+                <div key={cellIndex} style={editorStyles.neighborCell(state)} />
+              ))}
+            </div>
+            <button
+              style={editorStyles.outputCell(ruleBits[index])}
+              onClick={() => handleOutputToggle(index)}
+              disabled={disabled}
+              title={`${neighborhood.join('')} -> ${ruleBits[index]} (click to flip)`}
+            />
+          </div>
+        ))}
+      </div>
+      <div style={editorStyles.formats}>
+        {Object.entries(RULE_FORMATS).map(([format, { label }]) => (
+          <label key={format}>
+            {label}:{' '}
+            <input
+              type="text"
+              value={inputValues[format]}
+              onChange={(e) => handleFormatInputChange(format, e.target.value)}
+              style={editorStyles.input(!isNaN(parseRuleInput(format, inputValues[format])))}
+              disabled={disabled}
+            />
+          </label>
+        ))}
+      </div>
+      <div style={editorStyles.equivalents}>
+        Equivalent rules:
+        <button style={editorStyles.equivalentButton} onClick={() => onRuleChange(equivalents.mirrored)} disabled={disabled}>
+          {equivalents.mirrored} (mirrored)
+        </button>
+        <button style={editorStyles.equivalentButton} onClick={() => onRuleChange(equivalents.complemented)} disabled={disabled}>
+          {equivalents.complemented} (complemented)
+        </button>
+        <button style={editorStyles.equivalentButton} onClick={() => onRuleChange(equivalents.mirrorComplemented)} disabled={disabled}>
+          {equivalents.mirrorComplemented} (mirror-complemented)
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default RuleTableEditor1D;
@@ -0,0 +1,53 @@
+// Content for components/StatsPanel1D.jsx
+import React, { useMemo } from 'react';
+import LineChart from './LineChart.jsx';
+
+const DENSITY_COLOR = '#007bff';
+const CHANGED_COLOR = '#28a745';
+const ENTROPY_COLORS = ['#6f42c1', '#e83e8c', '#fd7e14', '#20c997']; // Block sizes 1-4
+
+// Live charts of the statistics of the latest generations of a 1D run
+// (stats: [{ generation, density, entropies, changed }], see automataStats1D.js).
+// Block entropies are shown per cell, H_b / b, so all block sizes share one axis.
+const StatsPanel1D = ({ stats, states = 2, onExportCsv }) => {
+  const densitySeries = useMemo(() => [{
+    label: 'Density',
+    color: DENSITY_COLOR,
+    points: stats.map(({ generation, density }) => ({ x: generation, y: density }))
+  }], [stats]);
+
+  const entropySeries = useMemo(() => ENTROPY_COLORS.map((color, i) => ({
+    label: `H${i + 1} / ${i + 1}`,
+    color,
+    points: stats.map(({ generation, entropies }) => ({ x: generation, y: entropies[i] / (i + 1) }))
+  })), [stats]);
+
+  const changedSeries = useMemo(() => [{
+    label: 'Changed',
+    color: CHANGED_COLOR,
+    points: stats.filter(({ changed }) => changed !== null).map(({ generation, changed }) => ({ x: generation, y: changed }))
+  }], [stats]);
+
+  const panelStyles = {
+    container: { display: 'flex', flexDirection: 'column', alignItems: 'center', gap: '8px', marginTop: '15px', width: '100%' },
+    header: { display: 'flex', alignItems: 'center', gap: '10px', fontSize: '0.9em', color: '#555' },
+    title: { margin: '6px 0 0', fontSize: '0.95em', color: '#333' }
+  };
+
+  return (
+    <div style={panelStyles.container}>
+      <div style={panelStyles.header}>
+        Statistics of the last {stats.length} generations
+        <button onClick={onExportCsv}>Export CSV (whole history)</button>
+      </div>
+      <h4 style={panelStyles.title}>Density (fraction of non-zero cells)</h4>
+      <LineChart series={densitySeries} xLabel="Generation" yLabel="Density" yMin={0} yMax={1} />
+      <h4 style={panelStyles.title}>Block entropy per cell (bits)</h4>
+      <LineChart series={entropySeries} xLabel="Generation" yLabel="H_b / b" yMin={0} yMax={Math.log2(states)} />
+      <h4 style={panelStyles.title}>Fraction of cells changed since the previous generation</h4>
+      <LineChart series={changedSeries} xLabel="Generation" yLabel="Changed" yMin={0} yMax={1} />
+    </div>
+  );
+};
+
+export default StatsPanel1D;
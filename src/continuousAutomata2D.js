@@ -0,0 +1,237 @@
+// continuousAutomata2D.js - Continuous 2D automata: cells hold values in [0, 1], updated from a convolution of the
+// grid with a large, smooth kernel (computed with FFTs, see fft2D.js)
+//  - lenia: Bert Chan's Lenia. The potential U = K * A (a ring-shaped kernel of radius R, with one or more peaks)
+//    feeds a growth function G(U) = 2 exp(-(U - μ)² / 2σ²) - 1, and A += dt G(U), clipped to [0, 1]
+//  - smoothLife: Stephan Rafler's SmoothLife. The filling m of a disk of radius ri and n of the ring ri..ra around it
+//    give a target value S(n, m), which is born in [b1, b2] where the disk is empty and survives in [d1, d2] where it
+//    is full (blended with sigmoids of widths αn and αm); A += dt (S - A), so dt = 1 is the original discrete step
+// The grid is a size x size torus, size a power of two; rows are Float32Arrays like the 1D coupled map lattices'.
+import { fft2D, isPowerOfTwo } from './fft2D.js';
+import { createSeededRandom } from './seededRandom.js';
+
+const CONTINUOUS_MODELS_2D = {
+  lenia: 'Lenia',
+  smoothLife: 'SmoothLife'
+};
+const CONTINUOUS_GRID_SIZES_2D = [64, 128, 256];
+
+// Rafler's parameters for gliders (ra = 21, so ri = 7)
+const DEFAULT_SMOOTHLIFE_PARAMETERS_2D = {
+  innerRadius: 7,
+  outerRadius: 21,
+  birth: [0.278, 0.365],
+  death: [0.267, 0.445],
+  alphaN: 0.028,
+  alphaM: 0.147,
+  dt: 1
+};
+
+// Lenia species: parameters, and the cells of the creature (rows of values, 0 where left out) or none to start from
+// a random patch, out of which the species forms by itself
+const LENIA_SPECIES_2D = {
+  orbium: {
+    name: 'Orbium unicaudatus',
+    parameters: { radius: 13, mu: 0.15, sigma: 0.015, peaks: [1], dt: 0.1 },
+    cells: [
+      [0, 0, 0, 0, 0, 0, 0.1, 0.14, 0.1, 0, 0, 0.03, 0.03, 0, 0, 0.3, 0, 0, 0, 0],
+      [0, 0, 0, 0, 0, 0.08, 0.24, 0.3, 0.3, 0.18, 0.14, 0.15, 0.16, 0.15, 0.09, 0.2, 0, 0, 0, 0],
+      [0, 0, 0, 0, 0, 0.15, 0.34, 0.44, 0.46, 0.38, 0.18, 0.14, 0.11, 0.13, 0.19, 0.18, 0.45, 0, 0, 0],
+      [0, 0, 0, 0, 0.06, 0.13, 0.39, 0.5, 0.5, 0.37, 0.06, 0, 0, 0, 0.02, 0.16, 0.68, 0, 0, 0],
+      [0, 0, 0, 0.11, 0.17, 0.17, 0.33, 0.4, 0.38, 0.28, 0.14, 0, 0, 0, 0, 0, 0.18, 0.42, 0, 0],
+      [0, 0, 0.09, 0.18, 0.13, 0.06, 0.08, 0.26, 0.32, 0.32, 0.27, 0, 0, 0, 0, 0, 0, 0.82, 0, 0],
+      [0.27, 0, 0.16, 0.12, 0, 0, 0, 0.25, 0.38, 0.44, 0.45, 0.34, 0, 0, 0, 0, 0, 0.22, 0.17, 0],
+      [0, 0.07, 0.2, 0.02, 0, 0, 0, 0.31, 0.48, 0.57, 0.6, 0.57, 0, 0, 0, 0, 0, 0, 0.49, 0],
+      [0, 0.59, 0.19, 0, 0, 0, 0, 0.2, 0.57, 0.69, 0.76, 0.76, 0.49, 0, 0, 0, 0, 0, 0.36, 0],
+      [0, 0.58, 0.19, 0, 0, 0, 0, 0, 0.67, 0.83, 0.9, 0.92, 0.87, 0.12, 0, 0, 0, 0, 0.22, 0.07],
+      [0, 0, 0.46, 0, 0, 0, 0, 0, 0.7, 0.93, 1, 1, 1, 0.61, 0, 0, 0, 0, 0.18, 0.11],
+      [0, 0, 0.82, 0, 0, 0, 0, 0, 0.47, 1, 1, 0.98, 1, 0.96, 0.27, 0, 0, 0, 0.19, 0.1],
+      [0, 0, 0.46, 0, 0, 0, 0, 0, 0.25, 1, 1, 0.84, 0.92, 0.97, 0.54, 0.14, 0.04, 0.1, 0.21, 0.05],
+      [0, 0, 0, 0.4, 0, 0, 0, 0, 0.09, 0.8, 1, 0.82, 0.8, 0.85, 0.63, 0.31, 0.18, 0.19, 0.2, 0.01],
+      [0, 0, 0, 0.36, 0.1, 0, 0, 0, 0.05, 0.54, 0.86, 0.79, 0.74, 0.72, 0.6, 0.39, 0.28, 0.24, 0.13, 0],
+      [0, 0, 0, 0.01, 0.3, 0.07, 0, 0, 0.08, 0.36, 0.64, 0.7, 0.64, 0.6, 0.51, 0.39, 0.29, 0.19, 0.04, 0],
+      [0, 0, 0, 0, 0.1, 0.24, 0.14, 0.1, 0.15, 0.29, 0.45, 0.53, 0.52, 0.46, 0.4, 0.31, 0.21, 0.08, 0, 0],
+      [0, 0, 0, 0, 0, 0.08, 0.21, 0.21, 0.22, 0.29, 0.36, 0.39, 0.37, 0.33, 0.26, 0.18, 0.09, 0, 0, 0],
+      [0, 0, 0, 0, 0, 0, 0.03, 0.13, 0.19, 0.22, 0.24, 0.24, 0.23, 0.18, 0.13, 0.05, 0, 0, 0, 0],
+      [0, 0, 0, 0, 0, 0, 0, 0, 0.02, 0.06, 0.08, 0.09, 0.07, 0.05, 0.01, 0, 0, 0, 0, 0]
+    ]
+  },
+  hydrogeminium: {
+    name: 'Hydrogeminium natans',
+    parameters: { radius: 18, mu: 0.26, sigma: 0.036, peaks: [0.5, 1, 2 / 3], dt: 0.1 },
+    cells: null
+  }
+};
+
+const DEFAULT_CONTINUOUS_SETTINGS_2D = {
+  model: 'lenia',
+  species: 'orbium', // Lenia species the parameters came from, which Reset loads again
+  lenia: LENIA_SPECIES_2D.orbium.parameters,
+  smoothLife: DEFAULT_SMOOTHLIFE_PARAMETERS_2D,
+  colormap: 'viridis'
+};
+
+// --- Kernels ---
+// Kernels are laid out for circular convolution: the weight of offset (dy, dx) sits at cell (dy mod size,
+// dx mod size). Each is normalized to sum to 1, and its spectrum is cached by model, size and parameters.
+const kernelSpectra = new Map();
+const MAX_CACHED_KERNELS = 8;
+
+const getKernelSpectrum = (key, size, radius, weightAt) => {
+  if (kernelSpectra.has(key)) return kernelSpectra.get(key);
+  const re = new Float64Array(size * size);
+  const im = new Float64Array(size * size);
+  const reach = Math.min(Math.ceil(radius), Math.floor(size / 2) - 1);
+  let total = 0;
+  for (let dy = -reach; dy <= reach; dy++) {
+    for (let dx = -reach; dx <= reach; dx++) {
+      const weight = weightAt(Math.hypot(dy, dx));
+      re[((dy + size) % size) * size + ((dx + size) % size)] = weight;
+      total += weight;
+    }
+  }
+  if (total > 0) {
+    for (let i = 0; i < re.length; i++) re[i] /= total;
+  }
+  fft2D(re, im, size);
+  if (kernelSpectra.size >= MAX_CACHED_KERNELS) kernelSpectra.clear();
+  const spectrum = { re, im };
+  kernelSpectra.set(key, spectrum);
+  return spectrum;
+};
+
+// Lenia's kernel: concentric rings (one per peak, with heights `peaks`), each shaped exp(4 - 1 / (r (1 - r)))
+// across its width, r being the distance in units of the radius
+const leniaKernelCore = (r) => (r > 0 && r < 1 ? Math.exp(4 - 1 / (r * (1 - r))) : 0);
+const getLeniaKernelSpectrum = (size, { radius, peaks }) => getKernelSpectrum(
+  `lenia:${size}:${radius}:${peaks.join(',')}`, size, radius, (distance) => {
+    const r = distance / radius;
+    if (r >= 1) return 0;
+    const ring = r * peaks.length;
+    return peaks[Math.floor(ring)] * leniaKernelCore(ring % 1);
+  }
+);
+
+// SmoothLife's disk and ring, anti-aliased over the cell their edge crosses
+const getSmoothLifeKernelSpectra = (size, { innerRadius, outerRadius }) => {
+  const edge = (distance, radius) => Math.min(1, Math.max(0, radius + 0.5 - distance));
+  return {
+    disk: getKernelSpectrum(`disk:${size}:${innerRadius}`, size, innerRadius + 1, (distance) => edge(distance, innerRadius)),
+    ring: getKernelSpectrum(`ring:${size}:${innerRadius}:${outerRadius}`, size, outerRadius + 1, (distance) => (
+      edge(distance, outerRadius) * (1 - edge(distance, innerRadius))
+    ))
+  };
+};
+
+// Convolution of the grid (given by its spectrum) with a kernel (spectrum), back in cell space
+const convolve = (gridSpectrum, kernelSpectrum, size) => {
+  const re = new Float64Array(size * size);
+  const im = new Float64Array(size * size);
+  for (let i = 0; i < re.length; i++) {
+    re[i] = gridSpectrum.re[i] * kernelSpectrum.re[i] - gridSpectrum.im[i] * kernelSpectrum.im[i];
+    im[i] = gridSpectrum.re[i] * kernelSpectrum.im[i] + gridSpectrum.im[i] * kernelSpectrum.re[i];
+  }
+  fft2D(re, im, size, true);
+  return re;
+};
+
+// --- Update rules ---
+const leniaGrowth = (potential, mu, sigma) => 2 * Math.exp(-((potential - mu) ** 2) / (2 * sigma * sigma)) - 1;
+
+const smoothStep = (x, a, alpha) => 1 / (1 + Math.exp((-4 * (x - a)) / alpha));
+const smoothInterval = (x, a, b, alpha) => smoothStep(x, a, alpha) * (1 - smoothStep(x, b, alpha));
+const smoothMix = (x, y, m, alpha) => x + (y - x) * smoothStep(m, 0.5, alpha);
+const smoothLifeTarget = (n, m, { birth, death, alphaN, alphaM }) => smoothInterval(
+  n, smoothMix(birth[0], death[0], m, alphaM), smoothMix(birth[1], death[1], m, alphaM), alphaN
+);
+
+const clamp01 = (value) => Math.min(1, Math.max(0, value));
+
+// One step of the model in `settings` (see DEFAULT_CONTINUOUS_SETTINGS_2D); returns the new grid
+const calculateNextGenerationContinuous2D = (currentGrid, settings = DEFAULT_CONTINUOUS_SETTINGS_2D) => {
+  const size = currentGrid.length;
+  if (!isPowerOfTwo(size) || currentGrid[0].length !== size) {
+    console.error(`[continuousAutomata2D] Grid must be square with a power-of-two size, got ${size}x${currentGrid[0]?.length}`);
+    return currentGrid;
+  }
+  const values = new Float64Array(size * size);
+  currentGrid.forEach((row, r) => row.forEach((value, c) => { values[r * size + c] = value; }));
+  const gridSpectrum = { re: values.slice(), im: new Float64Array(size * size) };
+  fft2D(gridSpectrum.re, gridSpectrum.im, size);
+
+  let nextValue;
+  if (settings.model === 'smoothLife') {
+    const parameters = settings.smoothLife;
+    const { disk, ring } = getSmoothLifeKernelSpectra(size, parameters);
+    const inner = convolve(gridSpectrum, disk, size);
+    const outer = convolve(gridSpectrum, ring, size);
+    nextValue = (i) => values[i] + parameters.dt * (smoothLifeTarget(outer[i], inner[i], parameters) - values[i]);
+  } else {
+    const { mu, sigma, dt } = settings.lenia;
+    const potential = convolve(gridSpectrum, getLeniaKernelSpectrum(size, settings.lenia), size);
+    nextValue = (i) => values[i] + dt * leniaGrowth(potential[i], mu, sigma);
+  }
+  return Array.from({ length: size }, (_, r) => {
+    const row = new Float32Array(size);
+    for (let c = 0; c < size; c++) row[c] = clamp01(nextValue(r * size + c));
+    return row;
+  });
+};
+
+// --- Initial grids ---
+const createEmptyContinuousGrid2D = (size) => Array.from({ length: size }, () => new Float32Array(size));
+
+// Empty grid with a Lenia species' cells in the middle (or a random patch for species without cells)
+const createLeniaSpeciesGrid2D = (speciesKey, size, seed = 0) => {
+  const species = LENIA_SPECIES_2D[speciesKey];
+  if (!species) {
+    console.error(`[continuousAutomata2D] Unknown Lenia species: ${speciesKey}`);
+    return createEmptyContinuousGrid2D(size);
+  }
+  if (!species.cells) return createRandomContinuousGrid2D(size, { model: 'lenia', lenia: species.parameters }, seed);
+  const grid = createEmptyContinuousGrid2D(size);
+  const top = Math.floor((size - species.cells.length) / 2);
+  const left = Math.floor((size - species.cells[0].length) / 2);
+  species.cells.forEach((row, r) => row.forEach((value, c) => {
+    if (top + r >= 0 && top + r < size && left + c >= 0 && left + c < size) grid[top + r][left + c] = value;
+  }));
+  return grid;
+};
+
+// Random start: for Lenia a square patch of uniform noise a few kernel radii wide in the middle, for SmoothLife
+// full squares the size of the outer radius scattered over the grid, both from a seeded generator
+const RANDOM_PATCH_RADII = 4; // Lenia patch side, in kernel radii
+const SMOOTHLIFE_SQUARE_DENSITY = 0.35; // Share of the grid the squares would cover without overlapping
+const createRandomContinuousGrid2D = (size, settings = DEFAULT_CONTINUOUS_SETTINGS_2D, seed = 0) => {
+  const random = createSeededRandom(seed);
+  const grid = createEmptyContinuousGrid2D(size);
+  if (settings.model === 'smoothLife') {
+    const side = Math.max(1, Math.round(settings.smoothLife.outerRadius));
+    const squareCount = Math.round((SMOOTHLIFE_SQUARE_DENSITY * size * size) / (side * side));
+    for (let k = 0; k < squareCount; k++) {
+      const top = Math.floor(random() * size);
+      const left = Math.floor(random() * size);
+      for (let r = 0; r < side; r++) {
+        for (let c = 0; c < side; c++) grid[(top + r) % size][(left + c) % size] = 1;
+      }
+    }
+    return grid;
+  }
+  const side = Math.min(size, Math.round(RANDOM_PATCH_RADII * settings.lenia.radius));
+  const start = Math.floor((size - side) / 2);
+  for (let r = start; r < start + side; r++) {
+    for (let c = start; c < start + side; c++) grid[r][c] = random();
+  }
+  return grid;
+};
+
+export {
+  calculateNextGenerationContinuous2D,
+  createEmptyContinuousGrid2D,
+  createLeniaSpeciesGrid2D,
+  createRandomContinuousGrid2D,
+  CONTINUOUS_MODELS_2D,
+  CONTINUOUS_GRID_SIZES_2D,
+  DEFAULT_CONTINUOUS_SETTINGS_2D,
+  DEFAULT_SMOOTHLIFE_PARAMETERS_2D,
+  LENIA_SPECIES_2D
+};
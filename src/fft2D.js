@@ -0,0 +1,96 @@
+// fft2D.js - Radix-2 fast Fourier transforms of square grids, for convolving the continuous 2D automata with
+// kernels far too large to sum cell by cell (a Lenia kernel of radius 13 covers over 500 cells)
+
+const isPowerOfTwo = (n) => Number.isInteger(n) && n > 0 && (n & (n - 1)) === 0;
+
+// Bit-reversal permutation and twiddle factors for each size, built once
+const plans = new Map();
+const getPlan = (n) => {
+  if (!plans.has(n)) {
+    const bits = Math.log2(n);
+    const reverse = new Uint32Array(n);
+    for (let i = 0; i < n; i++) {
+      let reversed = 0;
+      for (let b = 0; b < bits; b++) reversed |= ((i >> b) & 1) << (bits - 1 - b);
+      reverse[i] = reversed;
+    }
+    const cos = new Float64Array(n / 2);
+    const sin = new Float64Array(n / 2);
+    for (let k = 0; k < n / 2; k++) {
+      cos[k] = Math.cos((2 * Math.PI * k) / n);
+      sin[k] = Math.sin((2 * Math.PI * k) / n);
+    }
+    plans.set(n, { reverse, cos, sin });
+  }
+  return plans.get(n);
+};
+
+// In-place iterative FFT of n complex values (unscaled in both directions)
+const fft1D = (re, im, n, inverse) => {
+  const { reverse, cos, sin } = getPlan(n);
+  for (let i = 0; i < n; i++) {
+    const j = reverse[i];
+    if (j > i) {
+      const tempRe = re[i];
+      const tempIm = im[i];
+      re[i] = re[j];
+      im[i] = im[j];
+      re[j] = tempRe;
+      im[j] = tempIm;
+    }
+  }
+  const sign = inverse ? 1 : -1;
+  for (let length = 2; length <= n; length *= 2) {
+    const half = length / 2;
+    const step = n / length;
+    for (let start = 0; start < n; start += length) {
+      for (let k = 0; k < half; k++) {
+        const wRe = cos[k * step];
+        const wIm = sign * sin[k * step];
+        const a = start + k;
+        const b = a + half;
+        const tRe = re[b] * wRe - im[b] * wIm;
+        const tIm = re[b] * wIm + im[b] * wRe;
+        re[b] = re[a] - tRe;
+        im[b] = im[a] - tIm;
+        re[a] += tRe;
+        im[a] += tIm;
+      }
+    }
+  }
+};
+
+// In-place 2D FFT of a size x size grid stored row-major in Float64Arrays (size a power of two). The inverse
+// divides by size^2, so a forward and an inverse transform give back the input.
+const fft2D = (re, im, size, inverse = false) => {
+  const rowRe = new Float64Array(size);
+  const rowIm = new Float64Array(size);
+  for (let pass = 0; pass < 2; pass++) {
+    // Pass 0 transforms the rows, pass 1 the columns
+    const [stride, lineStep] = pass === 0 ? [1, size] : [size, 1];
+    for (let line = 0; line < size; line++) {
+      const offset = line * lineStep;
+      for (let i = 0; i < size; i++) {
+        rowRe[i] = re[offset + i * stride];
+        rowIm[i] = im[offset + i * stride];
+      }
+      fft1D(rowRe, rowIm, size, inverse);
+      for (let i = 0; i < size; i++) {
+        re[offset + i * stride] = rowRe[i];
+        im[offset + i * stride] = rowIm[i];
+      }
+    }
+  }
+  if (inverse) {
+    const scale = 1 / (size * size);
+    for (let i = 0; i < size * size; i++) {
+      re[i] *= scale;
+      im[i] *= scale;
+    }
+  }
+};
+
+export {
+  fft2D,
+  isPowerOfTwo
+};
@@ -0,0 +1,103 @@
+// graphTopology1D.js - Graphs for the 1D engine to run on instead of a periodic ring
+import { createSeededRandom } from './seededRandom.js';
+
+// A topology gives every node two designated neighbors, `left[i]` and `right[i]` (Int32Arrays), which take
+// the place of cells i - 1 and i + 1 in the rule lookup. Wider neighborhoods follow the links repeatedly.
+//  - ring: the usual periodic lattice
+//  - smallWorld: Watts-Strogatz style, each link of the ring rewired to a random node with probability p
+//  - adjacency: an imported list of each node's two neighbors
+const TOPOLOGY_TYPES_1D = ['ring', 'smallWorld', 'adjacency'];
+
+const createRingTopology = (nodeCount) => {
+  const left = new Int32Array(nodeCount);
+  const right = new Int32Array(nodeCount);
+  for (let i = 0; i < nodeCount; i++) {
+    left[i] = (i - 1 + nodeCount) % nodeCount;
+    right[i] = (i + 1) % nodeCount;
+  }
+  return { left, right };
+};
+
+// Starts from the ring and redirects each node's left and right link independently with probability p, to a
+// uniformly chosen node other than the node itself and its other neighbor. p = 0 is the ring, p = 1 a random
+// graph; the same seed always gives the same graph.
+const createSmallWorldTopology = (nodeCount, probability = 0, seed = 0) => {
+  const { left, right } = createRingTopology(nodeCount);
+  if (nodeCount < 4) return { left, right };
+  const random = createSeededRandom(seed);
+  const pickTarget = (node, otherNeighbor) => {
+    let target;
+    do {
+      target = Math.floor(random() * nodeCount);
+    } while (target === node || target === otherNeighbor);
+    return target;
+  };
+  for (let i = 0; i < nodeCount; i++) {
+    if (random() < probability) left[i] = pickTarget(i, right[i]);
+    if (random() < probability) right[i] = pickTarget(i, left[i]);
+  }
+  return { left, right };
+};
+
+// One line per node, "left right" or "node: left right" (node indices from 0; blank lines and # comments are
+// skipped). Without explicit node indices line n describes node n. Returns null if the list is malformed.
+const parseAdjacencyList = (text) => {
+  const entries = [];
+  const lines = String(text).split('\n').map((line) => line.replace(/#.*/, '').trim()).filter((line) => line !== '');
+  for (const line of lines) {
+    const match = line.match(/^(?:(\d+)\s*:\s*)?(\d+)[\s,]+(\d+)$/);
+    if (!match) return null;
+    entries.push({
+      node: match[1] === undefined ? entries.length : Number(match[1]),
+      left: Number(match[2]),
+      right: Number(match[3])
+    });
+  }
+  const nodeCount = entries.length;
+  if (nodeCount === 0) return null;
+  const left = new Int32Array(nodeCount).fill(-1);
+  const right = new Int32Array(nodeCount);
+  for (const entry of entries) {
+    const inRange = [entry.node, entry.left, entry.right].every((index) => index < nodeCount);
+    if (!inRange || left[entry.node] !== -1) return null; // Out of range, or a node listed twice
+    left[entry.node] = entry.left;
+    right[entry.node] = entry.right;
+  }
+  return { left, right };
+};
+
+// { topology, error } for the settings { type, probability, seed, adjacencyText }: topology is null for a
+// plain ring (the engine's default), which is also used until an adjacency list is imported or when it
+// doesn't fit the lattice, in which case error says why
+const createTopology1D = (settings, cellCount) => {
+  const { type = 'ring', probability = 0, seed = 0, adjacencyText = '' } = settings;
+  if (type === 'smallWorld') return { topology: createSmallWorldTopology(cellCount, probability, seed), error: null };
+  if (type === 'adjacency' && adjacencyText.trim() !== '') {
+    const topology = parseAdjacencyList(adjacencyText);
+    if (!topology || topology.left.length !== cellCount) {
+      return { topology: null, error: `Adjacency list does not describe ${cellCount} nodes; running on a ring` };
+    }
+    return { topology, error: null };
+  }
+  return { topology: null, error: null };
+};
+
+// Number of links that differ from the ring's
+const countRewiredLinks = ({ left, right }) => {
+  const nodeCount = left.length;
+  let rewired = 0;
+  for (let i = 0; i < nodeCount; i++) {
+    if (left[i] !== (i - 1 + nodeCount) % nodeCount) rewired++;
+    if (right[i] !== (i + 1) % nodeCount) rewired++;
+  }
+  return rewired;
+};
+
+export {
+  createRingTopology,
+  createSmallWorldTopology,
+  parseAdjacencyList,
+  createTopology1D,
+  countRewiredLinks,
+  TOPOLOGY_TYPES_1D
+};
@@ -0,0 +1,121 @@
+// ruleSearch1D.js - Genetic-algorithm search for radius-3 rules that solve the density classification task
+// (after Mitchell, Crutchfield & Das): a rule succeeds on a random row if it ends up all 1s when most of the
+// row's cells start as 1, and all 0s otherwise. Rules are stepped with the 1D engine (from their table, built
+// once per rule), so a rule scores here exactly as it behaves in the 1D view.
+import { calculateNextGenerationFromTable, createInitialGeneration, createRuleTable } from './automataLogic.js';
+import { createSeededRandom, deriveSeed } from './seededRandom.js';
+
+const SEARCH_RADIUS_1D = 3;
+const RULE_BITS = 2 ** (2 * SEARCH_RADIUS_1D + 1); // 128 table entries, one bit each
+const FULL_RULE_MASK = (1n << BigInt(RULE_BITS)) - 1n;
+
+// populationSize rules per generation, of which the eliteCount fittest survive unchanged and parent the
+// rest; each rule is scored on testCount rows of cellCount cells (odd, so there is always a majority),
+// each run for 2 * cellCount steps. Half the original experiments' population and tests, so a generation
+// usually takes under a second rather than several.
+const DEFAULT_SEARCH_SETTINGS_1D = {
+  populationSize: 50,
+  eliteCount: 10,
+  testCount: 50,
+  cellCount: 149,
+  mutationsPerChild: 2,
+  maxGenerations: 50,
+  seed: 1
+};
+
+// Rules whose table has a uniformly chosen fraction of 1 outputs, as in the original experiments:
+// uniformly random bits would almost all give rules with about half 1s
+const createRandomRule = (random) => {
+  const onesFraction = random();
+  let rule = 0n;
+  for (let bit = 0; bit < RULE_BITS; bit++) {
+    if (random() < onesFraction) rule |= 1n << BigInt(bit);
+  }
+  return rule;
+};
+
+// Test rows with densities spread uniformly over [0, 1], each with the state the row should settle to
+const createDensityTests = (count, cellCount, seed) => {
+  const random = createSeededRandom(seed);
+  return Array.from({ length: count }, (_, index) => {
+    const row = createInitialGeneration(cellCount, { type: 'random', density: random(), seed: deriveSeed(seed, index) });
+    const ones = row.reduce((sum, cell) => sum + cell, 0);
+    return { row, target: 2 * ones > cellCount ? 1 : 0 };
+  });
+};
+
+// Run the rule (its table, see createRuleTable) for 2N steps, stopping early at a fixed point, and check the row
+// ended uniformly in the target state
+const classifiesDensity = (ruleTable, { row, target }) => {
+  let current = row;
+  for (let step = 0; step < 2 * row.length; step++) {
+    const next = calculateNextGenerationFromTable(current, ruleTable, { radius: SEARCH_RADIUS_1D });
+    const unchanged = next.every((cell, i) => cell === current[i]);
+    current = next;
+    if (unchanged) break;
+  }
+  return current.every((cell) => cell === target);
+};
+
+// Fraction of the tests the rule classifies correctly
+const scoreRule = (rule, tests) => {
+  const ruleTable = createRuleTable(rule, 2, 'elementary', SEARCH_RADIUS_1D);
+  return tests.filter((test) => classifiesDensity(ruleTable, test)).length / tests.length;
+};
+
+// Single-point crossover of two rule tables, then `mutations` randomly chosen bits flipped
+const breedRules = (parentA, parentB, mutations, random) => {
+  const crossoverMask = (1n << BigInt(Math.floor(random() * RULE_BITS))) - 1n;
+  let child = (parentA & crossoverMask) | (parentB & ~crossoverMask & FULL_RULE_MASK);
+  for (let i = 0; i < mutations; i++) {
+    child ^= 1n << BigInt(Math.floor(random() * RULE_BITS));
+  }
+  return child;
+};
+
+const createPopulation = (settings) => {
+  const random = createSeededRandom(settings.seed);
+  return Array.from({ length: settings.populationSize }, () => createRandomRule(random));
+};
+
+// The fresh tests a generation is scored on
+const createGenerationTests = (generation, settings) => (
+  createDensityTests(settings.testCount, settings.cellCount, deriveSeed(settings.seed, 2 * generation))
+);
+
+// Next population from a generation's scored rules ({ rule, fitness }, fittest first)
+const breedNextPopulation = (scored, generation, settings) => {
+  const elite = scored.slice(0, settings.eliteCount).map(({ rule }) => rule);
+  const random = createSeededRandom(deriveSeed(settings.seed, 2 * generation + 1));
+  const nextPopulation = [...elite];
+  while (nextPopulation.length < settings.populationSize) {
+    const parentA = elite[Math.floor(random() * elite.length)];
+    const parentB = elite[Math.floor(random() * elite.length)];
+    nextPopulation.push(breedRules(parentA, parentB, settings.mutationsPerChild, random));
+  }
+  return nextPopulation;
+};
+
+// Score one generation on fresh tests and breed the next. Returns the scored rules (fittest first) and the
+// next population.
+const evolveGeneration = (population, generation, settings) => {
+  const tests = createGenerationTests(generation, settings);
+  const scored = population
+    .map((rule) => ({ rule, fitness: scoreRule(rule, tests) }))
+    .sort((a, b) => b.fitness - a.fitness);
+  return { scored, nextPopulation: breedNextPopulation(scored, generation, settings) };
+};
+
+export {
+  createRandomRule,
+  createDensityTests,
+  classifiesDensity,
+  scoreRule,
+  breedRules,
+  createPopulation,
+  createGenerationTests,
+  breedNextPopulation,
+  evolveGeneration,
+  SEARCH_RADIUS_1D,
+  DEFAULT_SEARCH_SETTINGS_1D
+};
@@ -0,0 +1,52 @@
+// ruleSearch1D.worker.js - Runs the density-classification rule search (ruleSearch1D.js) off the main thread.
+// Messages in: { type: 'start', settings } starts a new search, { type: 'stop' } stops it.
+// Messages out: { type: 'progress', generation, scoredCount } after every rule scored,
+// { type: 'generation', generation, bestFitness, meanFitness, champion } after every generation,
+// and { type: 'done', generation } when the search stops or reaches settings.maxGenerations.
+import { createPopulation, createGenerationTests, breedNextPopulation, scoreRule } from './ruleSearch1D.js';
+
+let searchId = 0; // Bumped on every start/stop, so a stale loop notices and ends
+
+const runSearch = (settings, id) => {
+  let population = createPopulation(settings);
+  let generation = 0;
+  let tests = createGenerationTests(generation, settings);
+  let scored = [];
+  // Scores one rule per call, yielding in between so a 'stop' message gets through mid-generation
+  const step = () => {
+    if (id !== searchId) return;
+    const rule = population[scored.length];
+    scored.push({ rule, fitness: scoreRule(rule, tests) });
+    self.postMessage({ type: 'progress', generation, scoredCount: scored.length });
+    if (scored.length === population.length) {
+      scored.sort((a, b) => b.fitness - a.fitness);
+      self.postMessage({
+        type: 'generation',
+        generation,
+        bestFitness: scored[0].fitness,
+        meanFitness: scored.reduce((sum, { fitness }) => sum + fitness, 0) / scored.length,
+        champion: scored[0].rule
+      });
+      population = breedNextPopulation(scored, generation, settings);
+      generation++;
+      if (generation >= settings.maxGenerations) {
+        self.postMessage({ type: 'done', generation });
+        return;
+      }
+      tests = createGenerationTests(generation, settings);
+      scored = [];
+    }
+    setTimeout(step, 0);
+  };
+  step();
+};
+
+self.onmessage = (event) => {
+  const { type, settings } = event.data;
+  searchId++;
+  if (type === 'start') {
+    runSearch(settings, searchId);
+  } else if (type === 'stop') {
+    self.postMessage({ type: 'done', generation: null });
+  }
+};
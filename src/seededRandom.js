@@ -0,0 +1,30 @@
+// seededRandom.js - Reproducible pseudo-random numbers for the simulations
+
+const MAX_SEED = 0xFFFFFFFF;
+
+// Mulberry32: tiny, fast 32-bit generator. Returns a function producing floats in [0, 1),
+// always the same sequence for the same seed, so a run can be replayed from its seed.
+const createSeededRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// Seed for one step of a longer run, e.g. deriveSeed(seed, generation): every step gets its own
+// independent-looking stream, and replaying (or revisiting) a step always draws the same numbers
+const deriveSeed = (seed, index) => {
+  let h = (seed ^ Math.imul(index, 0x9E3779B1)) >>> 0;
+  h = Math.imul(h ^ (h >>> 16), 0x85EBCA6B);
+  h = Math.imul(h ^ (h >>> 13), 0xC2B2AE35);
+  return (h ^ (h >>> 16)) >>> 0;
+};
+
+// Pick a fresh seed for the user (the seed itself is shown, so the run can still be reproduced)
+const generateSeed = () => Math.floor(Math.random() * MAX_SEED);
+
+export { createSeededRandom, deriveSeed, generateSeed, MAX_SEED };
@@ -0,0 +1,110 @@
+// turmites2D.js - Langton's ant and turmites: ants walking over the 2D grid, recoloring the cells they leave
+//
+// A turmite rule is a table indexed by the ant's state and the color of the cell it stands on, giving the color
+// to write, the turn to make and the ant's next state. After turning, the ant steps forward one cell. The grid
+// holds the colors 0 ... colors - 1 and wraps around like the other 2D rules. Rules come in two notations:
+//  - Langton's ant style, one letter per color (`RL`, `LLRR`): on color i turn as letter i says (L left, R right,
+//    N no turn, U u-turn) and repaint the cell with color i + 1 (wrapping to 0); one ant state
+//  - Golly's turmite notation, {{{write, turn, next}, ... per color}, ... per state}, with turns 1 (no turn),
+//    2 (right), 4 (u-turn) and 8 (left), e.g. Langton's ant is {{{1,2,0},{0,8,0}}}
+
+// Headings: 0 north, 1 east, 2 south, 3 west
+const HEADING_OFFSETS = [[-1, 0], [0, 1], [1, 0], [0, -1]];
+const TURN_CODES = { 1: 0, 2: 1, 4: 2, 8: 3 }; // Golly's turn code -> quarter turns clockwise
+const TURN_LETTERS = { N: 1, R: 2, U: 4, L: 8 };
+const MAX_TURMITE_COLORS = 12;
+const MAX_TURMITE_ANT_STATES = 8;
+const MAX_TURMITE_ANTS = 16;
+
+const createRule = (table) => ({ family: 'turmite', states: table[0].length, antStates: table.length, table });
+
+// Rule string -> { family: 'turmite', states (colors), antStates, table }, or null if invalid.
+// table[antState][color] is [write, turn, next] in Golly's codes.
+const parseTurmiteRule2D = (text) => {
+  const rule = String(text).replace(/\s+/g, '').toUpperCase();
+  if (/^[LRNU]+$/.test(rule)) {
+    if (rule.length < 2 || rule.length > MAX_TURMITE_COLORS) return null;
+    return createRule([[...rule].map((letter, color) => [(color + 1) % rule.length, TURN_LETTERS[letter], 0])]);
+  }
+  if (!/^\{[\d,{}]*\}$/.test(rule)) return null;
+  let table;
+  try {
+    table = JSON.parse(rule.replace(/\{/g, '[').replace(/\}/g, ']'));
+  } catch (error) {
+    return null;
+  }
+  if (!Array.isArray(table) || table.length === 0 || table.length > MAX_TURMITE_ANT_STATES) return null;
+  const colors = Array.isArray(table[0]) ? table[0].length : 0;
+  if (colors < 2 || colors > MAX_TURMITE_COLORS) return null;
+  const isValid = table.every((row) => Array.isArray(row) && row.length === colors && row.every((entry) => (
+    Array.isArray(entry) && entry.length === 3
+    && Number.isInteger(entry[0]) && entry[0] >= 0 && entry[0] < colors
+    && TURN_CODES[entry[1]] !== undefined
+    && Number.isInteger(entry[2]) && entry[2] >= 0 && entry[2] < table.length
+  )));
+  return isValid ? createRule(table) : null;
+};
+
+// Rule -> letter notation when it has one (one ant state, each color repainted with the next), Golly's otherwise
+const turmiteRuleToString2D = (rule) => {
+  const { table, states } = rule;
+  const letters = Object.fromEntries(Object.entries(TURN_LETTERS).map(([letter, code]) => [code, letter]));
+  if (table.length === 1 && table[0].every(([write, , next], color) => write === (color + 1) % states && next === 0)) {
+    return table[0].map(([, turn]) => letters[turn]).join('');
+  }
+  return `{${table.map((row) => `{${row.map((entry) => `{${entry.join(',')}}`).join(',')}}`).join(',')}}`;
+};
+
+// `count` ants in state 0 heading north, spread evenly along the middle row
+const createTurmiteAnts2D = (count, numRows, numCols) => (
+  Array.from({ length: count }, (_, i) => ({
+    r: Math.floor(numRows / 2),
+    c: Math.floor(((i + 0.5) * numCols) / count),
+    heading: 0,
+    state: 0
+  }))
+);
+
+// Runs `steps` steps of the rule and returns { grid, ants }. In each step the ants move in turn, so an ant sees
+// the cells repainted by the ants before it. Cells with a color the rule doesn't have are read as color 0.
+const stepTurmites2D = (grid, ants, rule, steps = 1) => {
+  const numRows = grid.length;
+  const numCols = numRows > 0 ? grid[0].length : 0;
+  if (numRows === 0 || numCols === 0 || ants.length === 0) return { grid, ants };
+  // Flat typed arrays keep millions of steps per call fast
+  const colors = new Uint8Array(numRows * numCols);
+  grid.forEach((row, r) => row.forEach((color, c) => {
+    colors[r * numCols + c] = color < rule.states ? color : 0;
+  }));
+  const numAnts = ants.length;
+  const rows = Int32Array.from(ants, ({ r }) => r);
+  const cols = Int32Array.from(ants, ({ c }) => c);
+  const headings = Int32Array.from(ants, ({ heading }) => heading);
+  const states = Int32Array.from(ants, ({ state }) => state);
+  const { table } = rule;
+  for (let step = 0; step < steps; step++) {
+    for (let i = 0; i < numAnts; i++) {
+      const index = rows[i] * numCols + cols[i];
+      const [write, turn, next] = table[states[i]][colors[index]];
+      colors[index] = write;
+      states[i] = next;
+      const heading = (headings[i] + TURN_CODES[turn]) & 3;
+      headings[i] = heading;
+      rows[i] = (rows[i] + HEADING_OFFSETS[heading][0] + numRows) % numRows;
+      cols[i] = (cols[i] + HEADING_OFFSETS[heading][1] + numCols) % numCols;
+    }
+  }
+  return {
+    grid: Array.from({ length: numRows }, (_, r) => Array.from(colors.subarray(r * numCols, (r + 1) * numCols))),
+    ants: Array.from({ length: numAnts }, (_, i) => ({ r: rows[i], c: cols[i], heading: headings[i], state: states[i] }))
+  };
+};
+
+export {
+  parseTurmiteRule2D,
+  turmiteRuleToString2D,
+  createTurmiteAnts2D,
+  stepTurmites2D,
+  MAX_TURMITE_COLORS,
+  MAX_TURMITE_ANTS
+};
@@ -0,0 +1,127 @@
+// wireworldLibrary2D.js - Starter WireWorld circuits for the 2D view
+import { WIREWORLD_STATES } from './automataLogic2D.js';
+
+// Pattern cells: '.' empty, '#' conductor, '@' electron head, '~' electron tail
+const PATTERN_CELL_STATES = {
+  '.': WIREWORLD_STATES.EMPTY,
+  '#': WIREWORLD_STATES.CONDUCTOR,
+  '@': WIREWORLD_STATES.HEAD,
+  '~': WIREWORLD_STATES.TAIL
+};
+
+// Clocks are loops with one electron, which sends a pulse down their output wire once per lap (every 2w + 2h - 8
+// generations for a w x h loop). The gates are fed by two clocks of different periods, so every combination of
+// inputs comes round: the upper one fires every 24 generations, the lower one every 36.
+const WIREWORLD_LIBRARY_2D = [
+  {
+    key: 'clock',
+    name: 'Clock',
+    description: 'A loop with one electron, sending a pulse down the wire every 12 generations.',
+    rows: [
+      '.~@##......',
+      '#....######',
+      '#....#.....',
+      '.####......'
+    ]
+  },
+  {
+    key: 'diodes',
+    name: 'Diodes',
+    description: 'Two clocks feeding the same diode, the right way round (top: the pulses get through) and reversed (bottom: they are stopped).',
+    rows: [
+      '.~@##........##.................',
+      '#....#########.#################',
+      '#....#.......##.................',
+      '.####...........................',
+      '................................',
+      '................................',
+      '.~@##.........##................',
+      '#....#########.#################',
+      '#....#........##................',
+      '.####...........................'
+    ]
+  },
+  {
+    key: 'or',
+    name: 'OR gate',
+    description: 'Pulses from either clock come out on the right; when both arrive together only one does, and neither runs back up the other input.',
+    rows: [
+      '.#~@#####.....................................',
+      '#........#....................................',
+      '#........#....................................',
+      '#........##########################...........',
+      '#........#.........................#..........',
+      '.########.........................############',
+      '.................########~@###.....#..........',
+      '................#.............#####...........',
+      '................#.............#...............',
+      '................#.............#...............',
+      '................#.............#...............',
+      '................#.............#...............',
+      '.................#############................'
+    ]
+  },
+  {
+    key: 'xor',
+    name: 'XOR gate',
+    description: 'Pulses from either clock come out on the right, except when both arrive together (every 72 generations) and cancel out.',
+    rows: [
+      '.#~@#####.....................................',
+      '#........#....................................',
+      '#........#....................................',
+      '#........##########################...........',
+      '#........#.........................#..........',
+      '.########.........................####........',
+      '.................#########~@##....#..#########',
+      '................#.............#...####........',
+      '................#.............#....#..........',
+      '................#.............#####...........',
+      '................#.............#...............',
+      '................#.............#...............',
+      '.................#############................'
+    ]
+  },
+  {
+    key: 'not',
+    name: 'NOT gate',
+    description: 'An XOR gate with one input tied to a clock firing every 12 generations: the output has a pulse in every slot where the input (every 36 generations) has none.',
+    rows: [
+      '.~@##.....................................',
+      '#....#....................................',
+      '#....##########################...........',
+      '.####..........................#..........',
+      '..............................####........',
+      '.............#############....#..#########',
+      '............#.............#...####........',
+      '............#.............#....#..........',
+      '............#.............#####...........',
+      '............#.............#...............',
+      '............#.............#...............',
+      '.............####@~#######................'
+    ]
+  }
+];
+
+// Empty numRows x numCols grid with the pattern in the middle, or null if it doesn't fit
+const createWireWorldGrid2D = (pattern, numRows, numCols) => {
+  const patternRows = pattern.rows.length;
+  const patternCols = Math.max(...pattern.rows.map((row) => row.length));
+  if (patternRows > numRows || patternCols > numCols) {
+    console.error(`[wireworldLibrary2D] ${pattern.name} (${patternCols}x${patternRows}) doesn't fit a ${numCols}x${numRows} grid`);
+    return null;
+  }
+  const top = Math.floor((numRows - patternRows) / 2);
+  const left = Math.floor((numCols - patternCols) / 2);
+  const grid = Array.from({ length: numRows }, () => Array(numCols).fill(WIREWORLD_STATES.EMPTY));
+  pattern.rows.forEach((row, r) => {
+    [...row].forEach((cell, c) => {
+      grid[top + r][left + c] = PATTERN_CELL_STATES[cell] ?? WIREWORLD_STATES.EMPTY;
+    });
+  });
+  return grid;
+};
+
+export {
+  WIREWORLD_LIBRARY_2D,
+  createWireWorldGrid2D
+};